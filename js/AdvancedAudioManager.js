@@ -24,6 +24,9 @@ class AdvancedAudioManager extends AudioManager {
             subdivision: null,
             accent: null
         };
+        this.songSounds = null; // Sounds chosen for the current song, over the app settings
+        this.customSoundNames = new Map(); // Names of imported samples by sound bank id
+        this.voiceLevels = { downbeat: 1, beat: 0.7, subdivision: 0.5 };
         
         // Rhythm patterns
         this.rhythmPatterns = new Map([
@@ -34,7 +37,8 @@ class AdvancedAudioManager extends AudioManager {
             ['latin', [1, 0, 0.7, 0, 1, 0, 0.3, 0]] // Latin pattern
         ]);
         
-        this.initializeAdvancedFeatures().catch(error => {
+        // Resolves once the sound bank is filled
+        this.soundBankReady = this.initializeAdvancedFeatures().catch(error => {
             console.error('Failed to initialize advanced audio features:', error);
         });
     }
@@ -44,10 +48,7 @@ class AdvancedAudioManager extends AudioManager {
      */
     async initializeAdvancedFeatures() {
         try {
-            await this.setupAudioWorklet();
-            await this.setupAudioEffects();
             await this.loadDefaultSoundBank();
-            this.setupAdvancedAnalysis();
             
             console.log('Advanced audio features initialized');
         } catch (error) {
@@ -55,6 +56,21 @@ class AdvancedAudioManager extends AudioManager {
         }
     }
 
+    /**
+     * Set up the audio worklet, effects and frequency analysis. Opt-in only: no
+     * sound is routed through them, as every click goes through the mixer, and
+     * the analysis runs a frame loop for as long as the page is open.
+     */
+    async enableAudioProcessing() {
+        try {
+            await this.setupAudioWorklet();
+            await this.setupAudioEffects();
+            this.setupAdvancedAnalysis();
+        } catch (error) {
+            console.warn('Some advanced audio features not available:', error);
+        }
+    }
+
     /**
      * Setup Audio Worklet for advanced processing
      */
@@ -572,8 +588,9 @@ class AdvancedAudioManager extends AudioManager {
 
     /**
      * Play sound from sound bank
+     * @param {string|null} bus - Mixer bus to play through; the master bus otherwise
      */
-    playSoundFromBank(soundName, volume = 1.0, pitch = 1.0) {
+    playSoundFromBank(soundName, volume = 1.0, pitch = 1.0, time = null, pan = 0, bus = null) {
         if (!this.audioContext || !this.soundBank.has(soundName)) {
             console.warn(`Sound "${soundName}" not found in sound bank`);
             return;
@@ -589,20 +606,28 @@ class AdvancedAudioManager extends AudioManager {
             gainNode.gain.value = volume;
 
             source.connect(gainNode);
-            
-            // Connect through effects if available
-            if (this.compressor) {
-                gainNode.connect(this.compressor);
-            } else {
-                gainNode.connect(this.audioContext.destination);
+
+            let output = gainNode;
+            if (pan && this.audioContext.createStereoPanner) {
+                output = this.audioContext.createStereoPanner();
+                output.pan.value = pan;
+                gainNode.connect(output);
             }
 
-            source.start();
+            // The mixer's master limiter keeps loud samples from clipping
+            output.connect(this.getBusInput(bus));
+
+            // Track the source so scheduled sounds can be cancelled
+            this.oscillatorNodes.add(source);
+
+            source.start(time ?? this.audioContext.currentTime);
 
             // Clean up
             source.onended = () => {
+                this.oscillatorNodes.delete(source);
                 source.disconnect();
                 gainNode.disconnect();
+                output.disconnect();
             };
 
         } catch (error) {
@@ -610,40 +635,113 @@ class AdvancedAudioManager extends AudioManager {
         }
     }
 
+    /**
+     * Get the sound chosen for a voice
+     * @param {string} voice - 'downbeat', 'beat' or 'subdivision'
+     * @returns {string} Sound bank name, or 'classic' for the built-in beeps
+     */
+    getSound(voice) {
+        return this.songSounds?.[voice] || this.configManager?.get?.(`audio.${voice}Sound`) || 'classic';
+    }
+
+    /**
+     * Set the sounds of the current song, which win over the app settings
+     * @param {Object|null} sounds - Sound names by voice, or null to use the app settings
+     */
+    setSongSounds(sounds) {
+        this.songSounds = Utils.validateSounds(sounds);
+    }
+
+    /**
+     * Play the bank sound chosen for a voice
+     * @param {string} voice - 'downbeat', 'beat' or 'subdivision'
+     * @param {string} soundName - Sound bank name
+     * @param {number} velocity - Loudness from 0 to 1
+     * @param {number} pitch - Playback rate
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @returns {boolean} False if the sound is not in the bank, such as 'classic'
+     */
+    playVoiceSound(voice, soundName, velocity = 1, pitch = 1.0, time = null, pan = 0) {
+        if (!this.soundBank.has(soundName)) return false;
+
+        this.playSoundFromBank(soundName, this.voiceLevels[voice] * velocity, pitch, time, pan, voice);
+        return true;
+    }
+
     /**
      * Override parent beat methods to use sound bank
      */
-    playBeat() {
+    playBeat(time = null, pan = 0, velocity = 1) {
         if (!this.metronomeEnabled) return;
         
-        // Get sound name with proper fallback
-        const soundName = this.configManager?.get?.('audio.beatSound') || 'click';
-        const volume = this.configManager?.get?.('audio.volume') || 0.7;
+        if (!this.playVoiceSound('beat', this.getSound('beat'), velocity, 1.0, time, pan)) {
+            super.playBeat(time, pan, velocity);
+        }
+    }
+
+    playDownbeat(time = null, pan = 0, velocity = 1) {
+        if (!this.metronomeEnabled) return;
         
-        // If sound bank is available and has the sound, use it
-        if (this.soundBank.has(soundName)) {
-            this.playSoundFromBank(soundName, volume * 0.7);
-        } else {
-            // Fallback to parent's oscillator-based method
-            console.log('Using fallback oscillator method for beat');
-            super.playBeat();
+        if (this.consistentBeep) {
+            this.playBeat(time, pan, velocity);
+        } else if (!this.playVoiceSound('downbeat', this.getSound('downbeat'), velocity, 1.0, time, pan)) {
+            super.playDownbeat(time, pan, velocity);
         }
     }
 
-    playDownbeat() {
+    playAccentBeat(time = null, pan = 0, velocity = 1) {
         if (!this.metronomeEnabled) return;
         
-        // Get sound name with proper fallback
-        const soundName = this.configManager?.get?.('audio.downbeatSound') || 'wood-block';
-        const volume = this.configManager?.get?.('audio.volume') || 0.7;
+        // Group accents reuse the downbeat sound a little softer and lower
+        if (this.consistentBeep) {
+            this.playBeat(time, pan, velocity);
+        } else if (!this.playVoiceSound('downbeat', this.getSound('downbeat'), 0.85 * velocity, 0.9, time, pan)) {
+            super.playAccentBeat(time, pan, velocity);
+        }
+    }
+
+    playSubdivisionBeat(time = null, pan = 0, velocity = 1) {
+        if (!this.metronomeEnabled) return;
         
-        // If sound bank is available and has the sound, use it
-        if (this.soundBank.has(soundName)) {
-            this.playSoundFromBank(soundName, volume);
+        if (!this.playVoiceSound('subdivision', this.getSound('subdivision'), velocity, 1.0, time, pan)) {
+            super.playSubdivisionBeat(time, pan, velocity);
+        }
+    }
+
+    /**
+     * Play a sound once so it can be picked, even while the metronome is off
+     * @param {string} voice - 'downbeat', 'beat' or 'subdivision'
+     * @param {string} soundName - Sound bank name or 'classic'
+     */
+    async auditionSound(voice, soundName) {
+        await this.resumeAudioContext();
+
+        if (this.playVoiceSound(voice, soundName)) return;
+
+        // The classic beeps follow the metronome switches, so lift them for a moment
+        const { metronomeEnabled, consistentBeep } = this;
+        this.metronomeEnabled = true;
+        this.consistentBeep = false;
+
+        const classicSounds = {
+            downbeat: () => super.playDownbeat(),
+            beat: () => super.playBeat(),
+            subdivision: () => super.playSubdivisionBeat()
+        };
+        classicSounds[voice]?.();
+
+        this.metronomeEnabled = metronomeEnabled;
+        this.consistentBeep = consistentBeep;
+    }
+
+    playPolyPulse(isFirst = false, time = null, pan = 0) {
+        if (!this.metronomeEnabled) return;
+
+        if (this.soundBank.has('cowbell')) {
+            this.playSoundFromBank('cowbell', isFirst ? 1 : 0.8, 1.0, time, pan);
         } else {
-            // Fallback to parent's oscillator-based method
-            console.log('Using fallback oscillator method for downbeat');
-            super.playDownbeat();
+            super.playPolyPulse(isFirst, time, pan);
         }
     }
 
@@ -662,7 +760,7 @@ class AdvancedAudioManager extends AudioManager {
                 this.configManager?.get('audio.downbeatSound', 'wood-block') :
                 this.configManager?.get('audio.beatSound', 'click');
             
-            this.playSoundFromBank(soundName, velocity * this.configManager?.get('audio.volume', 0.7));
+            this.playSoundFromBank(soundName, velocity);
         }
     }
 
@@ -673,6 +771,128 @@ class AdvancedAudioManager extends AudioManager {
         return Array.from(this.soundBank.keys());
     }
 
+    /**
+     * Get the sounds of the bank for sound pickers
+     * @returns {Array<Object>} Sound bank names with a display label; imported samples come last
+     */
+    getSoundOptions() {
+        return this.getAvailableSounds()
+            .map(name => ({
+                name,
+                label: this.customSoundNames.get(name) ||
+                    name.charAt(0).toUpperCase() + name.slice(1).replace(/-/g, ' ')
+            }))
+            .sort((a, b) => this.customSoundNames.has(a.name) - this.customSoundNames.has(b.name));
+    }
+
+    /**
+     * Turn an audio file into a click sample: trim the silence around it, keep at most
+     * two seconds and normalize it to the level of the synthesized sounds
+     * @param {File} file - WAV, MP3, OGG or FLAC file (whatever the browser decodes)
+     * @returns {Promise<Object|null>} Sample with id, name and WAV data, or null if undecodable
+     */
+    async createSampleFromFile(file) {
+        const decoded = await this.loadSoundFromFile(file);
+        if (!decoded) return null;
+
+        const buffer = this.prepareSample(decoded);
+        if (!buffer) return null;
+
+        return {
+            id: `custom:${Utils.generateId()}`,
+            name: Utils.sanitizeInput(file.name.replace(/\.[^.]+$/, '')).slice(0, 40) || 'Sample',
+            data: WavEncoder.encode(buffer, 16)
+        };
+    }
+
+    /**
+     * Trim and normalize a decoded sample
+     * @param {AudioBuffer} audioBuffer - Decoded audio
+     * @returns {AudioBuffer|null} Processed copy, or null if the audio is silent
+     */
+    prepareSample(audioBuffer) {
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+        const frameLevel = (frame) => Math.max(...channels.map(data => Math.abs(data[frame])));
+
+        let peak = 0;
+        for (let frame = 0; frame < audioBuffer.length; frame++) {
+            peak = Math.max(peak, frameLevel(frame));
+        }
+        if (peak === 0) return null;
+
+        // Silence is anything 40 dB under the peak; keep 1 ms before the attack
+        const threshold = peak * 0.01;
+        const sampleRate = audioBuffer.sampleRate;
+        let start = 0;
+        while (start < audioBuffer.length && frameLevel(start) < threshold) start++;
+        let end = audioBuffer.length - 1;
+        while (end > start && frameLevel(end) < threshold) end--;
+        start = Math.max(0, start - Math.round(sampleRate * 0.001));
+        end = Math.min(end + 1, start + sampleRate * 2);
+
+        const targetPeak = 0.4; // As loud as the loudest synthesized sounds
+        const gain = targetPeak / peak;
+        const trimmed = this.audioContext.createBuffer(channels.length, end - start, sampleRate);
+
+        channels.forEach((data, channel) => {
+            const output = trimmed.getChannelData(channel);
+            for (let i = 0; i < output.length; i++) {
+                output[i] = data[start + i] * gain;
+            }
+        });
+
+        // Fade out the last 5 ms so a cut tail does not click
+        const fadeFrames = Math.min(Math.round(sampleRate * 0.005), trimmed.length);
+        channels.forEach((_, channel) => {
+            const output = trimmed.getChannelData(channel);
+            for (let i = 0; i < fadeFrames; i++) {
+                output[trimmed.length - 1 - i] *= i / fadeFrames;
+            }
+        });
+
+        return trimmed;
+    }
+
+    /**
+     * Decode a stored sample into the sound bank
+     * @param {Object} sample - Sample with id, name and WAV data
+     * @returns {Promise<boolean>} True if the sample could be decoded
+     */
+    async loadCustomSound(sample) {
+        if (!this.audioContext) return false;
+
+        try {
+            // decodeAudioData detaches the bytes it is given, so keep the stored copy intact
+            const buffer = await this.audioContext.decodeAudioData(sample.data.slice(0));
+            this.soundBank.set(sample.id, buffer);
+            this.customSoundNames.set(sample.id, sample.name);
+            return true;
+        } catch (error) {
+            console.error(`Failed to decode sample "${sample.name}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Rename an imported sample in the sound pickers
+     * @param {string} id - Sound bank id of the sample
+     * @param {string} name - New name
+     */
+    renameCustomSound(id, name) {
+        if (this.customSoundNames.has(id)) {
+            this.customSoundNames.set(id, name);
+        }
+    }
+
+    /**
+     * Remove an imported sample from the sound bank; voices using it fall back to the classic beeps
+     * @param {string} id - Sound bank id of the sample
+     */
+    removeCustomSound(id) {
+        this.soundBank.delete(id);
+        this.customSoundNames.delete(id);
+    }
+
     /**
      * Get available rhythm patterns
      */
@@ -14,6 +14,9 @@ class AudioManager {
         this.speechRate = 1.2; // Default speech rate
         this.consistentBeep = false; // Whether to use same beep for all beats
         this.oscillatorNodes = new Set(); // Track active oscillator nodes to prevent memory leaks
+        this.mixer = null; // Gain buses between the sounds and the speakers
+        this.mixerSettings = null;
+        this.routing = null; // Stereo position of the click and the subdivisions
         
         // Subdivision rythmique (rhythmic subdivision)
         this.subdivision = 'quarter'; // 'quarter', 'eighth', 'sixteenth', 'triplet'
@@ -45,6 +48,7 @@ class AudioManager {
             }
 
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.mixer = new Mixer(this.audioContext, this.mixerSettings, this.routing);
             console.log('AudioContext initialized successfully');
         } catch (error) {
             console.error('Web Audio API initialization failed:', error);
@@ -174,11 +178,15 @@ class AudioManager {
 
     /**
      * Play regular beat sound (800Hz)
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @param {number} velocity - Loudness from 0 to 1
      */
-    playBeat() {
+    playBeat(time = null, pan = 0, velocity = 1) {
         if (!this.metronomeEnabled || !this.audioContext) return;
         
         try {
+            const startTime = time ?? this.audioContext.currentTime;
             const oscillator = this.audioContext.createOscillator();
             const gainNode = this.audioContext.createGain();
             
@@ -186,14 +194,14 @@ class AudioManager {
             this.oscillatorNodes.add(oscillator);
             
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            this.connectOutput(gainNode, pan, 'beat');
             
-            oscillator.frequency.setValueAtTime(800, this.audioContext.currentTime);
-            gainNode.gain.setValueAtTime(0.1, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
+            oscillator.frequency.setValueAtTime(800, startTime);
+            gainNode.gain.setValueAtTime(0.1 * velocity, startTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.1);
             
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.1);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.1);
             
             // Clean up oscillator reference when it ends
             oscillator.onended = () => {
@@ -206,17 +214,21 @@ class AudioManager {
 
     /**
      * Play downbeat sound (1200Hz or same as beat if consistent beep is enabled)
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @param {number} velocity - Loudness from 0 to 1
      */
-    playDownbeat() {
+    playDownbeat(time = null, pan = 0, velocity = 1) {
         if (!this.metronomeEnabled || !this.audioContext) return;
         
         // Use same sound as regular beat if consistent beep is enabled
         if (this.consistentBeep) {
-            this.playBeat();
+            this.playBeat(time, pan, velocity);
             return;
         }
         
         try {
+            const startTime = time ?? this.audioContext.currentTime;
             const oscillator = this.audioContext.createOscillator();
             const gainNode = this.audioContext.createGain();
             
@@ -224,14 +236,14 @@ class AudioManager {
             this.oscillatorNodes.add(oscillator);
             
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            this.connectOutput(gainNode, pan, 'downbeat');
             
-            oscillator.frequency.setValueAtTime(1200, this.audioContext.currentTime);
-            gainNode.gain.setValueAtTime(0.15, this.audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.15);
+            oscillator.frequency.setValueAtTime(1200, startTime);
+            gainNode.gain.setValueAtTime(0.15 * velocity, startTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.15);
             
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.15);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.15);
             
             // Clean up oscillator reference when it ends
             oscillator.onended = () => {
@@ -242,13 +254,186 @@ class AudioManager {
         }
     }
 
+    /**
+     * Play secondary accent sound at the start of a beat group (1000Hz)
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @param {number} velocity - Loudness from 0 to 1
+     */
+    playAccentBeat(time = null, pan = 0, velocity = 1) {
+        if (!this.metronomeEnabled || !this.audioContext) return;
+        
+        // Use same sound as regular beat if consistent beep is enabled
+        if (this.consistentBeep) {
+            this.playBeat(time, pan, velocity);
+            return;
+        }
+        
+        try {
+            const startTime = time ?? this.audioContext.currentTime;
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            
+            // Track oscillator node for cleanup
+            this.oscillatorNodes.add(oscillator);
+            
+            oscillator.connect(gainNode);
+            this.connectOutput(gainNode, pan, 'downbeat');
+            
+            oscillator.frequency.setValueAtTime(1000, startTime);
+            gainNode.gain.setValueAtTime(0.13 * velocity, startTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.12);
+            
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.12);
+            
+            // Clean up oscillator reference when it ends
+            oscillator.onended = () => {
+                this.oscillatorNodes.delete(oscillator);
+            };
+        } catch (error) {
+            console.error('Failed to play accent beat:', error);
+        }
+    }
+
+    /**
+     * Play a click of the secondary pulse in a polyrhythm, a rounder tone than the main clicks
+     * @param {boolean} isFirst - Whether this is the first pulse of the measure
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     */
+    playPolyPulse(isFirst = false, time = null, pan = 0) {
+        if (!this.metronomeEnabled || !this.audioContext) return;
+
+        try {
+            const startTime = time ?? this.audioContext.currentTime;
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+
+            // Track oscillator node for cleanup
+            this.oscillatorNodes.add(oscillator);
+
+            oscillator.connect(gainNode);
+            this.connectOutput(gainNode, pan);
+
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(isFirst ? 660 : 520, startTime);
+            gainNode.gain.setValueAtTime(0.2, startTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.12);
+
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.12);
+
+            // Clean up oscillator reference when it ends
+            oscillator.onended = () => {
+                this.oscillatorNodes.delete(oscillator);
+            };
+        } catch (error) {
+            console.error('Failed to play polyrhythm pulse:', error);
+        }
+    }
+
+    /**
+     * Connect a sound to the speakers through a mixer bus, panned if requested
+     * @param {AudioNode} node - Last node of the sound
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @param {string|null} bus - 'downbeat', 'beat' or 'subdivision'; the master bus otherwise
+     */
+    connectOutput(node, pan = 0, bus = null) {
+        if (pan && this.audioContext.createStereoPanner) {
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.value = pan;
+            node.connect(panner);
+            panner.connect(this.getBusInput(bus));
+        } else {
+            node.connect(this.getBusInput(bus));
+        }
+    }
+
+    /**
+     * Get the input of a mixer bus
+     * @param {string|null} bus - Bus name, or null for the master bus
+     * @returns {AudioNode} Bus input, or the speakers without a mixer
+     */
+    getBusInput(bus) {
+        return this.mixer ? this.mixer.getInput(bus || 'master') : this.audioContext.destination;
+    }
+
+    /**
+     * Set the output routing
+     * @param {Object} routing - Output routing, see Utils.validateRouting()
+     */
+    setRouting(routing) {
+        this.routing = Utils.validateRouting(routing);
+        this.mixer?.setRouting(this.routing);
+    }
+
+    /**
+     * Set the mixer levels, mutes and solos
+     * @param {Object} settings - Mixer settings, see Utils.validateMixer()
+     */
+    setMixerSettings(settings) {
+        this.mixerSettings = Utils.validateMixer(settings);
+        this.mixer?.setSettings(this.mixerSettings);
+    }
+
+    /**
+     * Play count-in click, a brighter tone than the song clicks
+     * @param {boolean} isFirst - Whether this is the first count-in beat
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     */
+    playCountInClick(isFirst = false, time = null) {
+        if (!this.metronomeEnabled || !this.audioContext) return;
+
+        try {
+            const startTime = time ?? this.audioContext.currentTime;
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+
+            // Track oscillator node for cleanup
+            this.oscillatorNodes.add(oscillator);
+
+            oscillator.connect(gainNode);
+            this.connectOutput(gainNode);
+
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(isFirst ? 1760 : 1320, startTime);
+            gainNode.gain.setValueAtTime(0.15, startTime);
+            gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.08);
+
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.08);
+
+            // Clean up oscillator reference when it ends
+            oscillator.onended = () => {
+                this.oscillatorNodes.delete(oscillator);
+            };
+        } catch (error) {
+            console.error('Failed to play count-in click:', error);
+        }
+    }
+
+    /**
+     * Silence every click that has been scheduled but not yet played
+     */
+    cancelScheduledClicks() {
+        this.oscillatorNodes.forEach(oscillator => {
+            try {
+                oscillator.stop();
+            } catch (e) {
+                // Oscillator may have already stopped
+            }
+        });
+        this.oscillatorNodes.clear();
+    }
+
     /**
      * Announce section using speech synthesis
      * @param {string} sectionName - Name of the section to announce
      * @param {Function} onTextAnnouncement - Callback for text announcement
      */
     announceSection(sectionName, onTextAnnouncement) {
-        if (!this.voiceEnabled || !Utils.checkBrowserSupport().speechSynthesis) {
+        if (!this.voiceEnabled || !Utils.checkBrowserSupport().speechSynthesis || this.isSpeechHeld()) {
             if (onTextAnnouncement) onTextAnnouncement(sectionName);
             return;
         }
@@ -262,19 +447,7 @@ class AudioManager {
             // Clear any pending speech
             speechSynthesis.cancel();
             
-            const utterance = new SpeechSynthesisUtterance(sectionName);
-            
-            // Configure voice settings
-            if (this.selectedVoice) {
-                utterance.voice = this.selectedVoice;
-                utterance.lang = this.selectedVoice.lang;
-            } else {
-                utterance.lang = 'en-US';
-            }
-            
-            utterance.rate = this.speechRate;
-            utterance.volume = 0.9;
-            utterance.pitch = 1.0;
+            const utterance = this.createUtterance(sectionName);
             
             // Event handlers
             utterance.onstart = () => console.log('TTS started:', sectionName);
@@ -295,6 +468,59 @@ class AudioManager {
         }
     }
 
+    /**
+     * Speak one count-in number
+     * @param {number} beatNumber - Count-in beat, starting at 1
+     */
+    speakCount(beatNumber) {
+        if (!Utils.checkBrowserSupport().speechSynthesis || this.isSpeechHeld()) return;
+
+        const words = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'];
+
+        try {
+            // Counts are short, so drop anything still being spoken
+            speechSynthesis.cancel();
+            speechSynthesis.speak(this.createUtterance(words[beatNumber - 1] || String(beatNumber)));
+        } catch (error) {
+            console.error('Speech synthesis error:', error);
+        }
+    }
+
+    /**
+     * Check whether speech is held back because the click is split to one channel.
+     * Speech synthesis plays outside Web Audio and cannot be panned, so it would
+     * reach both channels, including the one sent to front-of-house.
+     * @returns {boolean} True if announcements are shown on screen only
+     */
+    isSpeechHeld() {
+        if (this.routing?.voice !== 'off') return false;
+        return Math.abs(this.routing.click) === 1 || Math.abs(this.routing.subdivision) === 1;
+    }
+
+    /**
+     * Create an utterance with the selected voice settings
+     * @param {string} text - Text to speak
+     * @returns {SpeechSynthesisUtterance} Configured utterance
+     */
+    createUtterance(text) {
+        const utterance = new SpeechSynthesisUtterance(text);
+        
+        // Configure voice settings
+        if (this.selectedVoice) {
+            utterance.voice = this.selectedVoice;
+            utterance.lang = this.selectedVoice.lang;
+        } else {
+            utterance.lang = 'en-US';
+        }
+        
+        utterance.rate = this.speechRate;
+        // Speech bypasses Web Audio, so the voice bus sets the utterance volume
+        utterance.volume = 0.9 * (this.mixer ? this.mixer.getEffectiveGain('voice') : 1);
+        utterance.pitch = 1.0;
+        
+        return utterance;
+    }
+
     /**
      * Toggle metronome on/off
      */
@@ -401,10 +627,11 @@ class AudioManager {
     }
 
     /**
-     * Get current subdivision settings
+     * Get subdivision settings
+     * @param {string} subdivision - Subdivision name, the current subdivision by default
      */
-    getSubdivisionSettings() {
-        return this.subdivisionSettings[this.subdivision];
+    getSubdivisionSettings(subdivision = this.subdivision) {
+        return this.subdivisionSettings[subdivision] || this.subdivisionSettings[this.subdivision];
     }
 
     /**
@@ -421,59 +648,69 @@ class AudioManager {
     /**
      * Play subdivision click with appropriate accent
      * @param {number} subdivisionIndex - Index within the current beat (0-based)
-     * @param {boolean} isDownbeat - Whether this is the first beat of a measure
+     * @param {boolean|string} accent - 'primary' (or true) on the downbeat, 'secondary' at a
+     *     beat group start, false otherwise
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @param {string|null} level - Level from an accent pattern ('accent', 'normal', 'ghost'
+     *     or 'mute'); replaces the downbeat and group accents when given
+     * @param {string} subdivision - Subdivision of the click, the current subdivision by default
      */
-    playSubdivisionClick(subdivisionIndex, isDownbeat = false) {
-        if (!this.metronomeEnabled) return;
+    playSubdivisionClick(subdivisionIndex, accent = false, time = null, pan = 0, level = null, subdivision = this.subdivision) {
+        if (!this.metronomeEnabled || level === 'mute') return;
         
-        const settings = this.subdivisionSettings[this.subdivision];
+        const settings = this.getSubdivisionSettings(subdivision);
         const isAccented = settings.accent.includes(subdivisionIndex);
+        const velocity = level === 'ghost' ? 0.35 : 1;
         
-        if (isDownbeat) {
-            this.playDownbeat();
-        } else if (this.subdivision === 'quarter' || isAccented) {
+        if (level === 'accent' || (!level && (accent === true || accent === 'primary'))) {
+            this.playDownbeat(time, pan);
+        } else if (!level && accent === 'secondary') {
+            this.playAccentBeat(time, pan);
+        } else if (subdivision === 'quarter' || isAccented) {
             // For quarter notes, always play the main beat sound
             // For other subdivisions, play main beat sound only on accented beats
-            this.playBeat();
+            this.playBeat(time, pan, velocity);
         } else {
             // Use consistent beat sound for subdivisions if enabled
             if (this.consistentBeep) {
-                this.playBeat();
+                this.playBeat(time, pan, velocity);
             } else {
-                this.playSubdivisionBeat();
+                this.playSubdivisionBeat(time, pan, velocity);
             }
         }
     }
 
     /**
      * Play a softer subdivision beat (for non-accented subdivisions)
+     * @param {number} time - AudioContext time to play at (defaults to now)
+     * @param {number} pan - Stereo position from -1 (left) to 1 (right)
+     * @param {number} velocity - Loudness from 0 to 1
      */
-    playSubdivisionBeat() {
+    playSubdivisionBeat(time = null, pan = 0, velocity = 1) {
         if (!this.audioContext || !this.metronomeEnabled) return;
 
         try {
-            // Resume context if suspended
-            if (this.audioContext.state === 'suspended') {
-                this.audioContext.resume();
-            }
-
+            // Not resumed here: playback resumes the context first, and the offline
+            // context of a click track render must not be resumed
+            const startTime = time ?? this.audioContext.currentTime;
             const oscillator = this.audioContext.createOscillator();
             const gainNode = this.audioContext.createGain();
 
             // Softer, higher frequency for subdivisions
-            oscillator.frequency.setValueAtTime(1000, this.audioContext.currentTime);
+            oscillator.frequency.setValueAtTime(1000, startTime);
             oscillator.type = 'sine';
 
             // Shorter, quieter envelope for subdivisions
-            gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-            gainNode.gain.linearRampToValueAtTime(0.15, this.audioContext.currentTime + 0.01);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, this.audioContext.currentTime + 0.08);
+            gainNode.gain.setValueAtTime(0, startTime);
+            gainNode.gain.linearRampToValueAtTime(0.15 * velocity, startTime + 0.01);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + 0.08);
 
             oscillator.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
+            this.connectOutput(gainNode, pan, 'subdivision');
 
-            oscillator.start(this.audioContext.currentTime);
-            oscillator.stop(this.audioContext.currentTime + 0.08);
+            oscillator.start(startTime);
+            oscillator.stop(startTime + 0.08);
 
             // Track for cleanup
             this.oscillatorNodes.add(oscillator);
@@ -518,14 +755,7 @@ class AudioManager {
      */
     cleanup() {
         // Stop all active oscillators
-        this.oscillatorNodes.forEach(oscillator => {
-            try {
-                oscillator.stop();
-            } catch (e) {
-                // Oscillator may have already stopped
-            }
-        });
-        this.oscillatorNodes.clear();
+        this.cancelScheduledClicks();
 
         // Cancel any pending speech
         if (Utils.checkBrowserSupport().speechSynthesis) {
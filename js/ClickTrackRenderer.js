@@ -0,0 +1,105 @@
+// DrumHelper Click Track Renderer Module
+
+/**
+ * ClickTrackRenderer renders the loaded song's click track to a WAV file.
+ *
+ * The song is scheduled by SongManager exactly as for playback, but on an
+ * OfflineAudioContext swapped in for the audio manager's context, which renders
+ * as fast as the machine allows. Voice announcements are spoken by the browser
+ * outside Web Audio and cannot be rendered.
+ */
+class ClickTrackRenderer {
+    /**
+     * @param {SongManager} songManager - Song to render
+     * @param {AudioManager} audioManager - Sounds and mix to render with
+     */
+    constructor(songManager, audioManager) {
+        this.songManager = songManager;
+        this.audioManager = audioManager;
+        this.isRendering = false;
+        this.tailSeconds = 0.25; // Kept after the last beat so its click can die away
+    }
+
+    /**
+     * Render the loaded song
+     * @param {Object} options - countIn (boolean), bitDepth (16 or 24) and sampleRate
+     * @returns {Promise<ArrayBuffer>} WAV file bytes
+     */
+    async render({ countIn = true, bitDepth = 16, sampleRate = 48000 } = {}) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('Offline rendering is not supported by this browser');
+        }
+
+        const songManager = this.songManager;
+        if (songManager.sections.length === 0) {
+            throw new Error('Select a song to render');
+        }
+        if (songManager.isPlaying) {
+            throw new Error('Stop playback before rendering the click track');
+        }
+        if (this.isRendering) {
+            throw new Error('A click track is already being rendered');
+        }
+
+        // Scheduling the song moves the transport, so a paused song starts over afterwards
+        this.isRendering = true;
+        songManager.stop();
+
+        // Render at the song tempo, not the tempo trainer's
+        const trainerTempo = songManager.trainerTempo;
+        songManager.setTrainerTempo(null);
+
+        try {
+            // Imported samples and the sound bank must be ready before scheduling
+            await this.audioManager.soundBankReady;
+
+            // Count in with the configured beats, or one bar when none are set
+            const start = songManager.createStartCursor();
+            const countInBeats = countIn
+                ? songManager.getCountInBeats() || songManager.getMeasureBeats(start.section, start.measure)
+                : 0;
+            const countInSeconds = countInBeats * songManager.getBeatDuration(start.section, start.measure, start.beat, start.step);
+            const duration = countInSeconds + songManager.getSongStats().durationSeconds + this.tailSeconds;
+
+            const context = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+            this.scheduleOn(context, countInBeats);
+
+            const buffer = await context.startRendering();
+            return WavEncoder.encode(buffer, bitDepth);
+        } finally {
+            songManager.setTrainerTempo(trainerTempo);
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Schedule the song on a context with the current sounds and mix
+     * @param {BaseAudioContext} context - Context to schedule on
+     * @param {number} countInBeats - Count-in beats before the song
+     */
+    scheduleOn(context, countInBeats) {
+        const audioManager = this.audioManager;
+        const saved = {
+            audioContext: audioManager.audioContext,
+            mixer: audioManager.mixer,
+            oscillatorNodes: audioManager.oscillatorNodes,
+            metronomeEnabled: audioManager.metronomeEnabled
+        };
+
+        audioManager.audioContext = context;
+        audioManager.mixer = new Mixer(context, audioManager.mixerSettings, audioManager.routing);
+        audioManager.oscillatorNodes = new Set();
+        audioManager.metronomeEnabled = true;
+
+        try {
+            this.songManager.scheduleSong(countInBeats);
+        } finally {
+            Object.assign(audioManager, saved);
+            this.songManager.stop();
+        }
+    }
+}
+
+// Export for use in other modules
+window.ClickTrackRenderer = ClickTrackRenderer;
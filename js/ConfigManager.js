@@ -15,6 +15,11 @@ class ConfigManager {
                 volume: 0.7,
                 beatFrequency: 800,
                 downbeatFrequency: 1200,
+                downbeatSound: 'classic', // 'classic' beeps or a sound bank name
+                beatSound: 'classic',
+                subdivisionSound: 'classic',
+                mixer: null, // Bus levels, mutes and solos; the master level is kept in volume
+                routing: { click: 0, subdivision: 0, voice: 'both' }, // Pans from -1 left only to 1 right only
                 soundEnabled: true
             },
             
@@ -31,8 +36,17 @@ class ConfigManager {
             playback: {
                 defaultTempo: 120,
                 autoAdvance: false,
-                loopMode: false,
+                loopMode: 'off', // 'off', 'song', 'section' or 'range'
+                loopCount: 0, // 0 loops forever
                 countInBeats: 0,
+                countInVoice: false,
+                liveChangeAt: 'beat', // Live tempo changes apply at the next 'beat' or 'downbeat'
+                vampExit: 'downbeat', // A cued vamp ends at the next 'downbeat' or at the end of its 'phrase'
+                gapMode: 'off', // 'off', 'gap' or 'random'
+                gapPlayBars: 2,
+                gapMuteBars: 2,
+                gapMutePercent: 25,
+                gapHideBeat: false,
                 autoSave: true
             },
             
@@ -273,6 +287,18 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Set several configuration values and save them once
+     * @param {Object} values - New values by path
+     * @returns {boolean} True when every value was set
+     */
+    setMany(values) {
+        const entries = Object.entries(values);
+        const results = entries.map(([path, value], index) =>
+            this.set(path, value, index === entries.length - 1));
+        return results.every(Boolean);
+    }
+
     /**
      * Reset configuration to defaults
      */
@@ -403,8 +429,21 @@ class ConfigManager {
             'audio.volume': (v) => typeof v === 'number' && v >= 0 && v <= 1,
             'audio.beatFrequency': (v) => typeof v === 'number' && v >= 200 && v <= 2000,
             'audio.downbeatFrequency': (v) => typeof v === 'number' && v >= 200 && v <= 2000,
+            'audio.downbeatSound': (v) => Utils.validateSounds({ downbeat: v }) !== null,
+            'audio.beatSound': (v) => Utils.validateSounds({ beat: v }) !== null,
+            'audio.subdivisionSound': (v) => Utils.validateSounds({ subdivision: v }) !== null,
+            'audio.mixer': (v) => v === null || Utils.validateMixer(v) !== null,
+            'audio.routing': (v) => Utils.validateRouting(v) !== null,
             'playback.defaultTempo': (v) => typeof v === 'number' && v >= 60 && v <= 200,
             'playback.countInBeats': (v) => typeof v === 'number' && v >= 0 && v <= 8,
+            'playback.liveChangeAt': (v) => ['beat', 'downbeat'].includes(v),
+            'playback.vampExit': (v) => ['downbeat', 'phrase'].includes(v),
+            'playback.loopMode': (v) => ['off', 'song', 'section', 'range'].includes(v),
+            'playback.loopCount': (v) => typeof v === 'number' && v >= 0 && v <= 99,
+            'playback.gapMode': (v) => ['off', 'gap', 'random'].includes(v),
+            'playback.gapPlayBars': (v) => typeof v === 'number' && v >= 1 && v <= 16,
+            'playback.gapMuteBars': (v) => typeof v === 'number' && v >= 1 && v <= 16,
+            'playback.gapMutePercent': (v) => typeof v === 'number' && v >= 5 && v <= 95,
             'data.maxStoredSongs': (v) => typeof v === 'number' && v >= 10 && v <= 1000,
             'data.exportInterval': (v) => typeof v === 'number' && v >= 1 && v <= 365
         };
@@ -0,0 +1,181 @@
+// DrumHelper Mixer Module
+
+/**
+ * Mixer routes the click voices through their own gain buses into a master bus
+ * with a limiter, and meters every bus with an AnalyserNode.
+ *
+ * Speech synthesis does not pass through Web Audio, so the voice bus has no
+ * nodes or meter: its level, mute and solo only set the utterance volume.
+ * Count-in clicks and polyrhythm pulses go straight to the master bus.
+ *
+ * Each bus is panned by the output routing before the master, so the click can
+ * be sent to one channel only. Sounds sent to the master bus are clicks and
+ * follow the click routing.
+ */
+class Mixer {
+    /**
+     * @param {AudioContext} audioContext - Context the buses are created in
+     * @param {Object} settings - Mixer settings, see Utils.validateMixer()
+     * @param {Object} routing - Output routing, see Utils.validateRouting()
+     */
+    constructor(audioContext, settings = null, routing = null) {
+        this.audioContext = audioContext;
+        this.clickBuses = ['downbeat', 'beat', 'subdivision'];
+        this.settings = Utils.validateMixer(settings || {});
+        this.routing = Utils.validateRouting(routing || {});
+        this.buses = new Map();
+        this.panners = new Map(); // Routing panner by bus name
+
+        // Master: gain, then a limiter so stacked clicks and loud samples cannot clip
+        const masterGain = audioContext.createGain();
+        this.limiter = audioContext.createDynamicsCompressor();
+        this.limiter.threshold.value = -3;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.1;
+
+        masterGain.connect(this.limiter);
+        this.limiter.connect(audioContext.destination);
+        this.buses.set('master', { gain: masterGain, analyser: this.createMeter(this.limiter) });
+        this.masterInput = this.createRoute('master', masterGain);
+
+        this.clickBuses.forEach(name => {
+            const gain = audioContext.createGain();
+            gain.connect(this.createRoute(name, masterGain));
+            this.buses.set(name, { gain, analyser: this.createMeter(gain) });
+        });
+
+        // Start at the set levels rather than gliding there, so the first click is right
+        this.buses.forEach((bus, name) => {
+            bus.gain.gain.value = this.getBusGain(name);
+        });
+        this.panners.forEach((panner, name) => {
+            panner.pan.value = this.getPan(name);
+        });
+    }
+
+    /**
+     * Create the routing panner of a bus
+     * @param {string} bus - Bus name
+     * @param {AudioNode} output - Node the bus feeds
+     * @returns {AudioNode} Panner, or the output itself without stereo panning support
+     */
+    createRoute(bus, output) {
+        if (!this.audioContext.createStereoPanner) return output;
+
+        const panner = this.audioContext.createStereoPanner();
+        panner.connect(output);
+        this.panners.set(bus, panner);
+        return panner;
+    }
+
+    /**
+     * Get the stereo position of a bus from the routing
+     * @param {string} bus - Bus name
+     * @returns {number} Pan from -1 (left) to 1 (right)
+     */
+    getPan(bus) {
+        return bus === 'subdivision' ? this.routing.subdivision : this.routing.click;
+    }
+
+    /**
+     * Tap a node with an analyser for metering
+     * @param {AudioNode} node - Node to meter
+     * @returns {AnalyserNode} Analyser fed by the node
+     */
+    createMeter(node) {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        node.connect(analyser);
+        return analyser;
+    }
+
+    /**
+     * Get the node a sound connects to
+     * @param {string} bus - 'downbeat', 'beat', 'subdivision' or 'master'
+     * @returns {AudioNode} Bus input, the master bus for other names
+     */
+    getInput(bus) {
+        return bus !== 'master' && this.buses.has(bus) ? this.buses.get(bus).gain : this.masterInput;
+    }
+
+    /**
+     * Replace the output routing
+     * @param {Object} routing - Output routing
+     */
+    setRouting(routing) {
+        this.routing = Utils.validateRouting(routing || {});
+        const now = this.audioContext.currentTime;
+        this.panners.forEach((panner, name) => {
+            panner.pan.setTargetAtTime(this.getPan(name), now, 0.01);
+        });
+    }
+
+    /**
+     * Replace the mixer settings
+     * @param {Object} settings - Mixer settings
+     */
+    setSettings(settings) {
+        this.settings = Utils.validateMixer(settings || {});
+        this.applyGains();
+    }
+
+    /**
+     * Get the gain of a bus after mute and solo, without the master
+     * @param {string} bus - Bus name
+     * @returns {number} Gain from 0 to 1
+     */
+    getBusGain(bus) {
+        const busSettings = this.settings[bus];
+        if (bus === 'master') {
+            return busSettings.mute ? 0 : busSettings.level;
+        }
+
+        // While any bus is soloed, only soloed buses are heard
+        const soloActive = Object.entries(this.settings).some(([name, value]) => name !== 'master' && value.solo);
+        if (busSettings.mute || (soloActive && !busSettings.solo)) return 0;
+        return busSettings.level;
+    }
+
+    /**
+     * Get the gain of a bus as heard, including the master
+     * @param {string} bus - Bus name
+     * @returns {number} Gain from 0 to 1
+     */
+    getEffectiveGain(bus) {
+        return this.getBusGain(bus) * this.getBusGain('master');
+    }
+
+    /**
+     * Move the bus gains to the current settings, smoothly to avoid zipper noise
+     */
+    applyGains() {
+        const now = this.audioContext.currentTime;
+        this.buses.forEach((bus, name) => {
+            bus.gain.gain.setTargetAtTime(this.getBusGain(name), now, 0.01);
+        });
+    }
+
+    /**
+     * Read the peak level of every metered bus
+     * @returns {Object} Peak from 0 to 1 by bus name
+     */
+    getLevels() {
+        const levels = {};
+        this.buses.forEach((bus, name) => {
+            const samples = new Float32Array(bus.analyser.fftSize);
+            bus.analyser.getFloatTimeDomainData(samples);
+
+            let peak = 0;
+            for (let i = 0; i < samples.length; i++) {
+                peak = Math.max(peak, Math.abs(samples[i]));
+            }
+            levels[name] = Math.min(peak, 1);
+        });
+        return levels;
+    }
+}
+
+// Export for use in other modules
+window.Mixer = Mixer;
@@ -0,0 +1,114 @@
+// DrumHelper Sample Storage Module
+
+/**
+ * SampleStore keeps custom click samples in IndexedDB, which holds binary data
+ * that would not fit in localStorage. Each sample is stored as
+ * { id, name, data (WAV bytes), savedAt }.
+ */
+class SampleStore {
+    constructor() {
+        this.dbName = 'drumhelper-samples';
+        this.storeName = 'samples';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating the sample store on first use
+     * @returns {Promise<IDBDatabase|null>} Database, or null without IndexedDB
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (!window.indexedDB) {
+                    console.warn('IndexedDB not available, custom samples will not be kept');
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.error('Failed to open sample database:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the sample store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        if (!db) {
+            throw new Error('Sample storage not available');
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all stored samples
+     * @returns {Promise<Array>} Samples, oldest first; empty without IndexedDB
+     */
+    async getAll() {
+        if (!await this.open()) return [];
+
+        const samples = await this.run('readonly', store => store.getAll());
+        return samples.sort((a, b) => new Date(a.savedAt) - new Date(b.savedAt));
+    }
+
+    /**
+     * Get one sample
+     * @param {string} id - Sample id
+     * @returns {Promise<Object|undefined>} Sample, if stored
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Store a sample, replacing one with the same id
+     * @param {Object} sample - Sample with id, name and WAV data
+     */
+    save(sample) {
+        return this.run('readwrite', store => store.put({ ...sample, savedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Rename a sample
+     * @param {string} id - Sample id
+     * @param {string} name - New name
+     */
+    async rename(id, name) {
+        const sample = await this.get(id);
+        if (sample) {
+            await this.run('readwrite', store => store.put({ ...sample, name }));
+        }
+    }
+
+    /**
+     * Delete a sample
+     * @param {string} id - Sample id
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+// Export for use in other modules
+window.SampleStore = SampleStore;
@@ -0,0 +1,112 @@
+// DrumHelper Song Form Module
+
+/**
+ * SongForm turns the repeat and jump markings of a song's sections into the
+ * order in which the sections are played.
+ *
+ * Section markings:
+ * - repeat: play the section this many times in a row ("x2")
+ * - repeatStart / repeatEnd: a repeat group from the repeatStart section (or the
+ *   end of the previous group) to the repeatEnd section, played repeatEnd times
+ * - ending: passes of the enclosing repeat group on which the section plays ("1.", "2.")
+ * - marker: 'segno' (where D.S. jumps back to) or 'coda' (where "To Coda" jumps to)
+ * - jump: after the section, 'dc' or 'ds' jumps back once; after that jump,
+ *   'fine' ends the song and 'to-coda' jumps to the coda
+ *
+ * As usual in charts, repeats are not taken again after a D.C. or D.S.:
+ * repeat groups play their last pass only and sections play once.
+ */
+class SongForm {
+    /**
+     * Unroll the sections of a song into a play order
+     * @param {Array} sections - Song sections
+     * @returns {Array} Steps with the section index, and the pass and number of passes
+     *     of the section or its repeat group
+     */
+    static unroll(sections) {
+        const groups = this.findRepeatGroups(sections);
+        const groupAt = (index) => groups.find(group => index >= group.start && index <= group.end) || null;
+        const segnoIndex = sections.findIndex(section => section.marker === 'segno');
+        const codaIndex = sections.findIndex(section => section.marker === 'coda');
+
+        const maxSteps = 1000; // Safety net against malformed forms
+        const order = [];
+        const takenJumps = new Set();
+        let afterJump = false;
+        let index = 0;
+
+        groups.forEach(group => { group.pass = 1; });
+
+        while (index < sections.length && order.length < maxSteps) {
+            const section = sections[index];
+            const group = groupAt(index);
+
+            // Endings only play on their passes through the repeat group
+            const plays = !group || !section.ending || section.ending.includes(group.pass);
+
+            if (plays) {
+                const times = afterJump ? 1 : (section.repeat || 1);
+                for (let pass = 1; pass <= times; pass++) {
+                    if (times > 1) {
+                        order.push({ section: index, pass, passes: times });
+                    } else if (group && !afterJump) {
+                        order.push({ section: index, pass: group.pass, passes: group.times });
+                    } else {
+                        order.push({ section: index, pass: 1, passes: 1 });
+                    }
+                }
+
+                if (afterJump && section.jump === 'fine') break;
+
+                if (afterJump && section.jump === 'to-coda' && codaIndex > index) {
+                    index = codaIndex;
+                    continue;
+                }
+            }
+
+            if (group && index === group.end && group.pass < group.times) {
+                group.pass++;
+                index = group.start;
+                continue;
+            }
+
+            if (plays && (section.jump === 'dc' || section.jump === 'ds') && !takenJumps.has(index)) {
+                takenJumps.add(index);
+                afterJump = true;
+                groups.forEach(group => { group.pass = group.times; });
+                index = section.jump === 'ds' && segnoIndex >= 0 ? segnoIndex : 0;
+                continue;
+            }
+
+            index++;
+        }
+
+        return order;
+    }
+
+    /**
+     * Find the repeat groups of a song
+     * @param {Array} sections - Song sections
+     * @returns {Array} Groups with first and last section index and number of passes
+     */
+    static findRepeatGroups(sections) {
+        const groups = [];
+        let groupStart = 0;
+
+        sections.forEach((section, index) => {
+            if (section.repeatStart) {
+                groupStart = index;
+            }
+
+            if (section.repeatEnd) {
+                groups.push({ start: groupStart, end: index, times: section.repeatEnd });
+                groupStart = index + 1;
+            }
+        });
+
+        return groups;
+    }
+}
+
+// Export for use in other modules
+window.SongForm = SongForm;
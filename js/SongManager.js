@@ -4,9 +4,10 @@
  * SongManager handles song playback, timing, and section management
  */
 class SongManager {
-    constructor(audioManager, uiManager) {
+    constructor(audioManager, uiManager, configManager = null) {
         this.audioManager = audioManager;
         this.uiManager = uiManager;
+        this.configManager = configManager;
         
         // Playback state
         this.isPlaying = false;
@@ -14,13 +15,83 @@ class SongManager {
         this.currentMeasure = 0;
         this.currentBeat = 0;
         this.currentSubdivision = 0; // Current subdivision within a beat
-        this.intervalId = null;
+        this.currentStep = 0; // Current step of the play order
+        this.currentLoopPass = 1;
+        this.isMuted = false; // Current bar is silent in gap training
+        this.currentPulse = -1; // Secondary polyrhythm pulse last heard
+        this.isStopped = true; // Nothing played since the last stop
+        
+        // Look-ahead scheduler state
+        this.lookahead = 25; // How often the scheduler wakes up (ms)
+        this.scheduleAheadTime = 0.3; // How far ahead clicks are queued (s)
+        this.nextClickTime = 0; // AudioContext time of the next click to schedule
+        this.cursor = this.createCursor(); // Position of the next click to schedule
+        this.eventQueue = []; // Scheduled clicks not yet heard
+        this.schedulerId = null;
+        this.drawFrameId = null;
+        this.timerWorker = null;
+        this.timerWorkerUrl = null;
+
+        // Polyrhythm state: secondary pulses are planned per measure, then scheduled
+        // when they come inside the look-ahead window
+        this.pendingPulses = [];
+        this.pulsesPlanned = false;
+        this.polyrhythmPan = { main: -0.5, pulse: 0.5 };
+
+        // Count-in state
+        this.countInPending = true; // Count in before the next start
+        this.countInRemaining = 0; // Count-in beats still to schedule
+        this.countInTotal = 0;
+        this.preRollCountIn = false; // Count in at least one bar before a pre-roll
+        this.startAnnouncement = null; // Replaces "Starting with" after a seek
+
+        // Playback end requested at the next section boundary
+        this.endRequested = false;
+
+        // Way out of a vamp section once cued: 'downbeat' or 'phrase'
+        this.vampCue = null;
+
+        // Tempo and subdivision changed while playing, applied by the scheduler
+        // at the next beat or downbeat so the click never stops
+        this.pendingChange = null;
         
         // Song configuration
         this.tempo = 120;
         this.sections = [];
+        this.playOrder = []; // Sections in the order the song form plays them, see SongForm
         this.songTitle = '';
         this.subdivision = 'quarter';
+        this.swing = 50; // Percentage of each eighth or sixteenth pair given to its first click
+        this.accents = null; // Song accent pattern, one level per click of the measure
+        this.pickupBeats = 0; // Beats of the anacrusis before the first full measure
+        this.trainerTempo = null; // Song tempo set by the tempo trainer
+
+        // Loop settings: mode is 'off', 'song', 'section' or 'range'; count 0 loops forever
+        this.loop = {
+            mode: this.normalizeLoopMode(configManager?.get('playback.loopMode', 'off')),
+            start: 0,
+            end: 0,
+            count: configManager?.get('playback.loopCount', 0) || 0
+        };
+
+        // Gap training: mode is 'off', 'gap' (click bars then silent bars) or 'random'
+        this.gap = {
+            mode: 'off',
+            playBars: 2,
+            muteBars: 2,
+            mutePercent: 25,
+            hideBeat: false
+        };
+        this.setGapTraining({
+            mode: configManager?.get('playback.gapMode', 'off'),
+            playBars: configManager?.get('playback.gapPlayBars', 2),
+            muteBars: configManager?.get('playback.gapMuteBars', 2),
+            mutePercent: configManager?.get('playback.gapMutePercent', 25),
+            hideBeat: configManager?.get('playback.gapHideBeat', false)
+        });
+
+        // Playback event observers
+        this.observers = new Set();
     }
 
     /**
@@ -33,13 +104,26 @@ class SongManager {
             this.sections = songData.sections;
             this.songTitle = songData.title;
             this.subdivision = songData.subdivision || 'quarter';
+            this.swing = Utils.validateSwing(songData.swing);
+            this.accents = Utils.validateAccents(songData.accents);
+            this.pickupBeats = songData.pickupBeats;
         } else {
             const formData = this.uiManager.getFormData();
             this.tempo = formData.tempo;
             this.sections = formData.sections;
             this.songTitle = formData.title;
             this.subdivision = formData.subdivision || 'quarter';
+            this.swing = Utils.validateSwing(formData.swing);
+            this.accents = Utils.validateAccents(formData.accents);
+            this.pickupBeats = formData.pickupBeats;
         }
+
+        this.playOrder = SongForm.unroll(this.sections);
+        this.pickupBeats = Utils.validatePartialBeats(this.pickupBeats, this.getTimeSignature(0).beats) || 0;
+        
+        // Keep the loop range inside the new song
+        this.setLoop(this.loop);
+        this.uiManager.updateLoopSections(this.sections, this.loop);
         
         this.updateDisplay();
     }
@@ -64,27 +148,50 @@ class SongManager {
             
             this.isPlaying = true;
             this.uiManager.updatePlayButton(true);
-            
-            // Calculate subdivision interval based on current subdivision setting
-            const subdivisionInterval = this.audioManager.getSubdivisionInterval(this.tempo);
-            
+            this.notifyObservers('playback-started', { title: this.songTitle });
+
+            // A fresh start of a looped section begins at the loop
+            const loopRange = this.getLoopRange();
+            if (this.isStopped && loopRange) {
+                this.cursor = this.createCursor({ section: loopRange.start, step: this.findStep(loopRange.start) });
+            }
+
+            // A song with a pickup starts in the last beats of a measure before the first one,
+            // so the pickup is neither bar 1 nor the first bar of gap training
+            if (this.isStopped && this.pickupBeats && this.cursor.step === 0) {
+                this.cursor = this.createStartCursor();
+            }
+            this.isStopped = false;
+
+            // Count in before the first downbeat and after a jump
+            this.countInTotal = this.countInPending ? this.getCountInBeats() : 0;
+            if (this.countInPending && this.preRollCountIn && this.countInTotal === 0) {
+                this.countInTotal = this.getMeasureBeats(this.cursor.section, this.cursor.measure);
+            }
+            this.countInRemaining = this.countInTotal;
+            this.countInPending = false;
+            this.preRollCountIn = false;
+
+            const startAnnouncement = this.startAnnouncement;
+            this.startAnnouncement = null;
+
             // Announce first section if voice enabled (at start of playback)
             if (this.audioManager.voiceEnabled && this.currentSection < this.sections.length) {
-                const section = this.sections[this.currentSection];
-                const measureText = this.audioManager.measureAnnouncementEnabled 
-                    ? `, ${section.measures} measures` 
-                    : '';
-                this.audioManager.announceSection(
-                    `Starting with: ${section.name}${measureText}`,
-                    (text) => this.uiManager.showTextAnnouncement(text)
-                );
+                const text = startAnnouncement || `Starting with: ${this.describeStep(this.cursor.step)}`;
+                if (this.countInTotal > 0 && this.isCountInVoiceEnabled()) {
+                    // The spoken count would cut the announcement short
+                    this.uiManager.showTextAnnouncement(text);
+                } else {
+                    this.audioManager.announceSection(
+                        text,
+                        (text) => this.uiManager.showTextAnnouncement(text)
+                    );
+                }
             }
             
-            // Start metronome interval with subdivision timing
-            this.intervalId = setInterval(() => {
-                this.processSubdivision();
-            }, subdivisionInterval);
-            
+            // Start the look-ahead scheduler from the current cursor position
+            this.startScheduler();
+
             this.updateDisplay();
             this.uiManager.announceToScreenReader('Metronome started');
         } catch (error) {
@@ -99,12 +206,32 @@ class SongManager {
      */
     pause() {
         this.isPlaying = false;
-        
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+
+        this.stopScheduler();
+
+        // Rewind the cursor to the first click that has not been heard yet
+        const pendingClick = this.eventQueue.find(event => event.type === 'click');
+        if (pendingClick) {
+            this.rewindBoundaries(pendingClick.time);
+            this.cursor = this.createCursor(pendingClick);
         }
-        
+
+        // An interrupted count-in starts over on resume
+        if (this.countInRemaining > 0 || this.eventQueue.some(event => event.type === 'count-in')) {
+            this.countInPending = true;
+        }
+        this.countInRemaining = 0;
+        this.uiManager.hideCountIn();
+
+        this.eventQueue = [];
+        this.pendingPulses = [];
+        this.audioManager.cancelScheduledClicks();
+
+        // Changes waiting for a beat apply right away when nothing plays
+        if (this.pendingChange) {
+            this.applyPendingChange();
+        }
+
         this.uiManager.updatePlayButton(false);
         this.uiManager.announceToScreenReader('Metronome paused');
     }
@@ -120,7 +247,18 @@ class SongManager {
         this.currentMeasure = 0;
         this.currentBeat = 0;
         this.currentSubdivision = 0;
-        
+        this.currentStep = 0;
+        this.currentLoopPass = 1;
+        this.isMuted = false;
+        this.currentPulse = -1;
+        this.cursor = this.createCursor();
+        this.countInPending = true;
+        this.isStopped = true;
+        this.endRequested = false;
+        this.vampCue = null;
+        this.preRollCountIn = false;
+        this.startAnnouncement = null;
+
         this.updateDisplay();
         this.uiManager.announceToScreenReader('Metronome stopped and reset');
     }
@@ -137,78 +275,1028 @@ class SongManager {
     }
 
     /**
-     * Process a single subdivision click
+     * Create a playback cursor
+     * @param {Object} position - Optional position to copy
+     * @returns {Object} Cursor with section, play order step, measure, beat, subdivision,
+     *     loop pass, bars played since the start and whether the bar is silent
+     */
+    createCursor(position = {}) {
+        return {
+            section: position.section || 0,
+            step: position.step || 0,
+            measure: position.measure || 0,
+            beat: position.beat || 0,
+            subdivision: position.subdivision || 0,
+            loopPass: position.loopPass || 1,
+            bar: position.bar || 0,
+            muted: !!position.muted
+        };
+    }
+
+    /**
+     * Create the cursor at the start of the song
+     * @returns {Object} Cursor at the first pickup beat, or at the first downbeat
+     */
+    createStartCursor() {
+        if (!this.pickupBeats) return this.createCursor();
+
+        const { beats } = this.getTimeSignature(0);
+        return this.createCursor({ measure: -1, beat: beats - this.pickupBeats, bar: -1 });
+    }
+
+    /**
+     * Start the look-ahead scheduler and the display loop
+     */
+    startScheduler() {
+        this.stopScheduler();
+
+        this.eventQueue = [];
+        this.pendingPulses = [];
+        this.pulsesPlanned = false;
+        this.nextClickTime = this.audioManager.audioContext.currentTime + 0.05;
+
+        if (!this.timerWorker) {
+            this.createTimerWorker();
+        }
+
+        if (this.timerWorker) {
+            this.timerWorker.postMessage({ type: 'start', interval: this.lookahead });
+        } else {
+            this.schedulerId = setInterval(() => this.scheduler(), this.lookahead);
+        }
+
+        this.scheduler();
+        this.drawFrameId = requestAnimationFrame(() => this.drawLoop());
+    }
+
+    /**
+     * Stop the look-ahead scheduler and the display loop
      */
-    processSubdivision() {
+    stopScheduler() {
+        if (this.timerWorker) {
+            this.timerWorker.postMessage({ type: 'stop' });
+        }
+
+        if (this.schedulerId) {
+            clearInterval(this.schedulerId);
+            this.schedulerId = null;
+        }
+
+        if (this.drawFrameId) {
+            cancelAnimationFrame(this.drawFrameId);
+            this.drawFrameId = null;
+        }
+    }
+
+    /**
+     * Create a worker that ticks the scheduler.
+     * Worker timers are not throttled like main-thread timers in background tabs.
+     */
+    createTimerWorker() {
+        if (!window.Worker) return;
+
+        try {
+            const workerCode = `
+                let timerId = null;
+                self.onmessage = (event) => {
+                    if (event.data.type === 'start') {
+                        clearInterval(timerId);
+                        timerId = setInterval(() => self.postMessage('tick'), event.data.interval);
+                    } else if (event.data.type === 'stop') {
+                        clearInterval(timerId);
+                        timerId = null;
+                    }
+                };
+            `;
+
+            const blob = new Blob([workerCode], { type: 'application/javascript' });
+            this.timerWorkerUrl = URL.createObjectURL(blob);
+            this.timerWorker = new Worker(this.timerWorkerUrl);
+            this.timerWorker.onmessage = () => this.scheduler();
+        } catch (error) {
+            console.warn('Scheduler worker not available, using setInterval:', error);
+            this.timerWorker = null;
+        }
+    }
+
+    /**
+     * Queue every click that falls inside the look-ahead window
+     */
+    scheduler() {
         if (!this.isPlaying) return;
-        
-        const subdivisionSettings = this.audioManager.getSubdivisionSettings();
-        const isFirstSubdivisionInBeat = this.currentSubdivision === 0;
-        const isDownbeat = this.currentBeat === 0 && isFirstSubdivisionInBeat;
-        
-        // Flash beat only on first subdivision of each beat
-        if (isFirstSubdivisionInBeat) {
-            this.uiManager.flashBeat();
+
+        const audioContext = this.audioManager.audioContext;
+        while (this.nextClickTime < audioContext.currentTime + this.scheduleAheadTime) {
+            if (!this.scheduleNextClick()) break;
         }
-        
-        // Play appropriate subdivision click
-        this.audioManager.playSubdivisionClick(this.currentSubdivision, isDownbeat);
-        
-        // Announce upcoming section on downbeat of the last measure of current section
-        const currentSectionData = this.sections[this.currentSection];
-        const nextSectionIndex = this.currentSection + 1;
-        if (isDownbeat && 
-            this.audioManager.voiceEnabled && 
-            currentSectionData && 
-            nextSectionIndex < this.sections.length &&
-            this.currentMeasure === currentSectionData.measures - 1) {
-            const nextSection = this.sections[nextSectionIndex];
-            const measureText = this.audioManager.measureAnnouncementEnabled 
-                ? `, ${nextSection.measures} measures` 
-                : '';
-            this.audioManager.announceSection(
-                `Next: ${nextSection.name}${measureText}`,
-                (text) => this.uiManager.showTextAnnouncement(text)
-            );
+
+        this.schedulePulses(audioContext.currentTime + this.scheduleAheadTime);
+        this.processDueEvents();
+    }
+
+    /**
+     * Schedule the click at the cursor and advance the cursor
+     * @returns {boolean} False once the end of the song has been scheduled
+     */
+    scheduleNextClick() {
+        const time = this.nextClickTime;
+
+        if (this.cursor.section >= this.sections.length) {
+            if (!this.eventQueue.some(event => event.type === 'end')) {
+                this.eventQueue.push({ type: 'end', time });
+            }
+            return false;
         }
 
-        // Advance subdivision
-        this.currentSubdivision++;
-        
+        if (this.pendingChange && this.isLiveChangePoint(this.cursor)) {
+            this.applyPendingChange();
+        }
+
+        if (this.countInRemaining > 0) {
+            this.scheduleCountInBeat(time);
+            return true;
+        }
+
+        const isFirstSubdivisionInBeat = this.cursor.subdivision === 0;
+        const isDownbeat = this.cursor.beat === 0 && isFirstSubdivisionInBeat;
+        const accent = this.getAccent(this.cursor);
+        const polyrhythm = this.getPolyrhythm(this.cursor.section);
+
+        // Plan the secondary pulse at each measure start, or mid-measure after a resume
+        if (polyrhythm && (isDownbeat || !this.pulsesPlanned)) {
+            this.planPulses(time, polyrhythm.pulses);
+        }
+        this.pulsesPlanned = true;
+
+        // Silent bars keep their place in the song, only the click drops out
+        if (!this.cursor.muted) {
+            const pan = polyrhythm ? this.polyrhythmPan.main : 0;
+            const level = this.getAccentLevel(this.cursor);
+            const subdivision = this.getSubdivision(this.cursor.section);
+            this.audioManager.playSubdivisionClick(this.cursor.subdivision, accent, time, pan, level, subdivision);
+        }
+
+        this.eventQueue.push({
+            type: 'click',
+            time,
+            ...this.cursor,
+            isDownbeat,
+            isBeatStart: isFirstSubdivisionInBeat
+        });
+
+        this.nextClickTime += this.getSubdivisionDuration(this.cursor);
+        this.advanceCursor();
+        return true;
+    }
+
+    /**
+     * Schedule the whole song at once on the audio manager's context, to render
+     * it offline. The song plays through once, as getSongStats() measures it:
+     * loops and gap training are left out and vamps play their measures once.
+     * Call stop() afterwards to reset the playback state.
+     * @param {number} countInBeats - Count-in beats before the song, or 0
+     * @returns {number} Context time at which the song ends
+     */
+    scheduleSong(countInBeats = 0) {
+        const { loop, gap } = this;
+        this.loop = { ...loop, mode: 'off' };
+        this.gap = { ...gap, mode: 'off' };
+
+        this.cursor = this.createStartCursor();
+        this.countInTotal = countInBeats;
+        this.countInRemaining = countInBeats;
+        this.eventQueue = [];
+        this.pendingPulses = [];
+        this.pulsesPlanned = false;
+        this.nextClickTime = 0;
+
+        try {
+            let scheduled = true;
+            while (scheduled) {
+                // A vamp cued at the end of its phrase plays its measures once
+                if (this.sections[this.cursor.section]?.vamp) {
+                    this.vampCue = 'phrase';
+                }
+
+                scheduled = this.scheduleNextClick();
+                this.schedulePulses(Infinity);
+
+                // Nothing is played back in real time, so the events are not needed
+                this.eventQueue = [];
+            }
+        } finally {
+            this.loop = loop;
+            this.gap = gap;
+        }
+
+        return this.nextClickTime;
+    }
+
+    /**
+     * Plan the secondary pulses of the cursor's measure from the cursor on
+     * @param {number} time - AudioContext time of the click at the cursor
+     * @param {number} pulses - Secondary pulses per measure
+     */
+    planPulses(time, pulses) {
+        const { section, measure, beat, subdivision, muted } = this.cursor;
+        const beats = this.getMeasureBeats(section, measure);
+
+        // Find where the measure started and how long it lasts
+        let elapsed = 0;
+        for (let i = 0; i < subdivision; i++) {
+            elapsed += this.getSubdivisionDuration({ ...this.cursor, subdivision: i });
+        }
+        let measureDuration = 0;
+        for (let i = 0; i < beats; i++) {
+            const beatDuration = this.getBeatDuration(section, measure, i, this.cursor.step);
+            if (i < beat) elapsed += beatDuration;
+            measureDuration += beatDuration;
+        }
+
+        const measureStart = time - elapsed;
+        for (let index = 0; index < pulses; index++) {
+            const pulseTime = measureStart + (index * measureDuration) / pulses;
+            if (pulseTime >= time - 0.001) {
+                this.pendingPulses.push({ time: pulseTime, index, muted });
+            }
+        }
+    }
+
+    /**
+     * Schedule planned secondary pulses that fall inside the look-ahead window
+     * @param {number} horizon - AudioContext time up to which pulses are scheduled
+     */
+    schedulePulses(horizon) {
+        while (this.pendingPulses.length > 0 && this.pendingPulses[0].time < horizon) {
+            const pulse = this.pendingPulses.shift();
+
+            if (!pulse.muted) {
+                this.audioManager.playPolyPulse(pulse.index === 0, pulse.time, this.polyrhythmPan.pulse);
+            }
+            this.queueEvent({ type: 'pulse', ...pulse });
+        }
+    }
+
+    /**
+     * Add an event to the queue, keeping it in time order
+     * @param {Object} event - Scheduled event
+     */
+    queueEvent(event) {
+        const index = this.eventQueue.findIndex(queued => queued.time > event.time);
+        if (index === -1) {
+            this.eventQueue.push(event);
+        } else {
+            this.eventQueue.splice(index, 0, event);
+        }
+    }
+
+    /**
+     * Schedule one count-in beat without moving the cursor
+     * @param {number} time - AudioContext time of the beat
+     */
+    scheduleCountInBeat(time) {
+        const beat = this.countInTotal - this.countInRemaining + 1;
+
+        this.audioManager.playCountInClick(beat === 1, time);
+        this.eventQueue.push({ type: 'count-in', time, beat, total: this.countInTotal });
+
+        // Count in at the tempo and beat unit of the first beat to be played
+        const cursor = this.cursor;
+        this.nextClickTime += this.getBeatDuration(cursor.section, cursor.measure, cursor.beat, cursor.step);
+        this.countInRemaining--;
+    }
+
+    /**
+     * Get the configured number of count-in beats
+     * @returns {number} Count-in beats (0 to 8)
+     */
+    getCountInBeats() {
+        const beats = this.configManager?.get('playback.countInBeats', 0) || 0;
+        return Math.min(Math.max(parseInt(beats) || 0, 0), 8);
+    }
+
+    /**
+     * Check whether the count-in is spoken aloud
+     * @returns {boolean} True if the count-in is spoken
+     */
+    isCountInVoiceEnabled() {
+        return !!this.configManager?.get('playback.countInVoice', false);
+    }
+
+    /**
+     * Move the cursor to the next subdivision
+     */
+    advanceCursor() {
+        const cursor = this.cursor;
+        const subdivisionSettings = this.audioManager.getSubdivisionSettings(this.getSubdivision(cursor.section));
+
+        cursor.subdivision++;
+
         // Check if beat is complete
-        if (this.currentSubdivision >= subdivisionSettings.clicksPerBeat) {
-            this.currentSubdivision = 0;
-            this.currentBeat++;
-            
-            // Check if measure is complete (4 beats)
-            if (this.currentBeat >= 4) {
-                this.currentBeat = 0;
-                this.currentMeasure++;
-                
+        if (cursor.subdivision >= subdivisionSettings.clicksPerBeat) {
+            cursor.subdivision = 0;
+            cursor.beat++;
+
+            // Check if measure is complete
+            if (cursor.beat >= this.getMeasureBeats(cursor.section, cursor.measure)) {
+                cursor.beat = 0;
+                cursor.measure++;
+                cursor.bar++;
+                cursor.muted = this.isBarMuted(cursor.bar);
+
+                // A vamp repeats its measures until it is cued out
+                const sectionData = this.sections[cursor.section];
+                if (sectionData?.vamp && !this.vampCue && cursor.measure >= this.getMeasureCount(cursor.section)) {
+                    cursor.measure = 0;
+                }
+
                 // Check if section is complete
-                const currentSectionData = this.sections[this.currentSection];
-                if (currentSectionData && this.currentMeasure >= currentSectionData.measures) {
-                    this.currentMeasure = 0;
-                    this.currentSection++;
-                    
-                    // Check if song is complete
-                    if (this.currentSection >= this.sections.length) {
-                        this.completeSong();
-                        return;
+                const vampCuedOut = sectionData?.vamp && this.vampCue === 'downbeat';
+                if (sectionData && (cursor.measure >= this.getMeasureCount(cursor.section) || vampCuedOut)) {
+                    let next = this.getNextPosition(cursor.step, cursor.loopPass);
+
+                    // The boundary is queued so a pause before it is heard can take it back
+                    const boundary = {
+                        type: 'boundary',
+                        time: this.nextClickTime,
+                        vampCue: this.vampCue,
+                        passCompleted: false,
+                        endRequested: false
+                    };
+                    this.vampCue = null;
+
+                    if (next?.isLoopWrap) {
+                        boundary.passCompleted = true;
+                        this.notifyObservers('loop-pass-complete', { pass: cursor.loopPass });
+                    }
+
+                    // Observers may ask to end here instead of going on
+                    if (this.endRequested) {
+                        this.endRequested = false;
+                        boundary.endRequested = true;
+                        next = null;
                     }
+                    this.queueEvent(boundary);
+
+                    cursor.measure = 0;
+                    cursor.step = next ? next.step : this.playOrder.length;
+                    cursor.section = next ? next.section : this.sections.length;
+                    cursor.loopPass = next ? next.loopPass : cursor.loopPass;
                 }
             }
         }
-        
+    }
+
+    /**
+     * Take back the section boundaries scheduled after a rewind point: loop passes
+     * they counted are reported as rewound, and a vamp cue or end request they used up is restored
+     * @param {number} time - Time of the first click that will be scheduled again
+     */
+    rewindBoundaries(time) {
+        const unheard = this.eventQueue.filter(event => event.type === 'boundary' && event.time > time);
+        if (unheard.length === 0) return;
+
+        // The first boundary to be scheduled again is the one that used the cue
+        if (unheard[0].vampCue) {
+            this.vampCue = unheard[0].vampCue;
+        }
+        if (unheard.some(boundary => boundary.endRequested)) {
+            this.endRequested = true;
+        }
+
+        const passes = unheard.filter(boundary => boundary.passCompleted).length;
+        if (passes > 0) {
+            this.notifyObservers('loop-pass-rewound', { passes });
+        }
+    }
+
+    /**
+     * Cue the way out of a vamp section. The next section is announced right away
+     * and starts at the next downbeat, or after the vamp's last measure when
+     * playback.vampExit is 'phrase'. A downbeat already inside the look-ahead
+     * window has been scheduled and is played as part of the vamp.
+     * @returns {boolean} True if a vamp was cued
+     */
+    cueNextSection() {
+        const section = this.sections[this.cursor.section];
+        if (!this.isPlaying || !section?.vamp || this.vampCue) return false;
+
+        this.vampCue = this.configManager?.get('playback.vampExit', 'downbeat') === 'phrase' ? 'phrase' : 'downbeat';
+
+        const next = this.getNextPosition(this.cursor.step, this.cursor.loopPass);
+        const text = next
+            ? `${next.isLoopWrap ? 'Again' : 'Next'}: ${this.describeStep(next.step)}`
+            : 'Last time';
+        this.audioManager.announceSection(text, (text) => this.uiManager.showTextAnnouncement(text));
+
+        this.updateDisplay();
+        this.uiManager.announceToScreenReader(`Leaving ${section.name}`);
+        return true;
+    }
+
+    /**
+     * Decide whether gap training silences a bar
+     * @param {number} bar - Bars played since the start of playback
+     * @returns {boolean} True if the bar plays without click
+     */
+    isBarMuted(bar) {
+        switch (this.gap.mode) {
+            case 'gap':
+                return bar % (this.gap.playBars + this.gap.muteBars) >= this.gap.playBars;
+            case 'random':
+                return Math.random() * 100 < this.gap.mutePercent;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Update gap training settings. Takes effect from the next bar, even while playing.
+     * @param {Object} settings - Any of mode, playBars, muteBars, mutePercent and hideBeat
+     */
+    setGapTraining(settings = {}) {
+        const clamp = (value, min, max, fallback) => Math.min(Math.max(parseInt(value) || fallback, min), max);
+        const mode = settings.mode ?? this.gap.mode;
+
+        this.gap = {
+            mode: ['gap', 'random'].includes(mode) ? mode : 'off',
+            playBars: clamp(settings.playBars ?? this.gap.playBars, 1, 16, 2),
+            muteBars: clamp(settings.muteBars ?? this.gap.muteBars, 1, 16, 2),
+            mutePercent: clamp(settings.mutePercent ?? this.gap.mutePercent, 5, 95, 25),
+            hideBeat: !!(settings.hideBeat ?? this.gap.hideBeat)
+        };
+
+        // Turning gap training off brings the click back straight away
+        if (this.gap.mode === 'off' && this.cursor) {
+            this.cursor.muted = false;
+        }
+    }
+
+    /**
+     * End playback at the next section boundary that gets scheduled
+     */
+    requestEndAfterSection() {
+        this.endRequested = true;
+    }
+
+    /**
+     * Find which play order step follows a step, wrapping around the loop
+     * @param {number} step - Play order step that is ending
+     * @param {number} loopPass - Current loop pass, starting at 1
+     * @returns {Object|null} Next step, its section, loop pass and whether it wraps;
+     *     null at the end of the song
+     */
+    getNextPosition(step, loopPass) {
+        const range = this.getLoopRange();
+        const hasPassesLeft = this.loop.count === 0 || loopPass < this.loop.count;
+
+        // The whole song loops at the end of the play order, other loops at their last section
+        const isLoopEnd = range && (this.loop.mode === 'song'
+            ? step === this.playOrder.length - 1
+            : this.playOrder[step]?.section === range.end);
+
+        if (isLoopEnd && hasPassesLeft) {
+            const loopStart = this.findLoopStart(step, range.start);
+            return { step: loopStart, section: this.playOrder[loopStart].section, loopPass: loopPass + 1, isLoopWrap: true };
+        }
+
+        if (step + 1 >= this.playOrder.length) {
+            return null;
+        }
+
+        // A finished loop keeps its pass count, so the song form coming back to
+        // the same sections later plays through them
+        return { step: step + 1, section: this.playOrder[step + 1].section, loopPass, isLoopWrap: false };
+    }
+
+    /**
+     * Find the step a loop goes back to: the run of its first section played last
+     * before the loop end, so repeats inside the loop are kept
+     * @param {number} endStep - Step at the end of the loop
+     * @param {number} sectionIndex - First section of the loop
+     * @returns {number} Play order step
+     */
+    findLoopStart(endStep, sectionIndex) {
+        if (this.loop.mode === 'song') return 0;
+
+        let step = endStep;
+        while (step >= 0 && this.playOrder[step].section !== sectionIndex) step--;
+        if (step < 0) return this.findStep(sectionIndex);
+
+        while (step > 0 && this.playOrder[step - 1].section === sectionIndex) step--;
+        return step;
+    }
+
+    /**
+     * Find where a section is played
+     * @param {number} sectionIndex - Section index
+     * @param {number} fromStep - Step to search from, wrapping around to the start
+     * @returns {number} First play order step of the section, 0 if it is never played
+     */
+    findStep(sectionIndex, fromStep = 0) {
+        const steps = this.playOrder.length;
+        for (let offset = 0; offset < steps; offset++) {
+            const step = (fromStep + offset) % steps;
+            if (this.playOrder[step].section === sectionIndex) return step;
+        }
+        return 0;
+    }
+
+    /**
+     * Get the sections covered by the current loop mode
+     * @returns {Object|null} First and last looped section, or null when not looping
+     */
+    getLoopRange() {
+        if (this.sections.length === 0) return null;
+
+        switch (this.loop.mode) {
+            case 'song':
+                return { start: 0, end: this.sections.length - 1 };
+            case 'section':
+                return { start: this.loop.start, end: this.loop.start };
+            case 'range':
+                return { start: this.loop.start, end: this.loop.end };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Update loop settings. Takes effect at the next section boundary, even while playing.
+     * @param {Object} settings - Any of mode, start, end and count
+     */
+    setLoop(settings = {}) {
+        const lastSection = Math.max(this.sections.length - 1, 0);
+        const clampSection = (value) => Math.min(Math.max(parseInt(value) || 0, 0), lastSection);
+
+        const start = clampSection(settings.start ?? this.loop.start);
+        const end = Math.max(clampSection(settings.end ?? this.loop.end), start);
+
+        this.loop = {
+            mode: this.normalizeLoopMode(settings.mode ?? this.loop.mode),
+            start,
+            end,
+            count: Math.min(Math.max(parseInt(settings.count ?? this.loop.count) || 0, 0), 99)
+        };
+
         this.updateDisplay();
     }
 
     /**
-     * Process a single beat (legacy method for compatibility)
+     * Convert stored loop mode values, including the old boolean, to a mode name
+     * @param {string|boolean} mode - Stored loop mode
+     * @returns {string} 'off', 'song', 'section' or 'range'
+     */
+    normalizeLoopMode(mode) {
+        if (mode === true) return 'song';
+        return ['song', 'section', 'range'].includes(mode) ? mode : 'off';
+    }
+
+    /**
+     * Get the time signature of a section
+     * @param {number} sectionIndex - Section index
+     * @returns {Object} Beats per measure and note value of one beat
+     */
+    getTimeSignature(sectionIndex) {
+        return Utils.parseTimeSignature(this.sections[sectionIndex]?.timeSignature);
+    }
+
+    /**
+     * Get the number of measures in a section
+     * @param {number} sectionIndex - Section index
+     * @returns {number} Full measures, plus one for a short last bar
+     */
+    getMeasureCount(sectionIndex) {
+        const section = this.sections[sectionIndex];
+        if (!section) return 0;
+        return section.measures + (section.extraBeats ? 1 : 0);
+    }
+
+    /**
+     * Get the number of beats in a measure
+     * @param {number} sectionIndex - Section index
+     * @param {number} measure - Measure within the section, -1 for the pickup
+     * @returns {number} Beats of the meter, or of the section's short last bar
      */
-    processBeat() {
-        // This method is kept for compatibility but now uses subdivision processing
-        this.processSubdivision();
+    getMeasureBeats(sectionIndex, measure) {
+        const section = this.sections[sectionIndex];
+        const { beats } = this.getTimeSignature(sectionIndex);
+        return section?.extraBeats && measure >= section.measures ? section.extraBeats : beats;
+    }
+
+    /**
+     * Get the beat groups of one measure, cut short in a short last bar
+     * @param {number} sectionIndex - Section index
+     * @param {number} measure - Measure within the section
+     * @returns {Array<number>} Group sizes
+     */
+    getMeasureGrouping(sectionIndex, measure) {
+        const measureBeats = this.getMeasureBeats(sectionIndex, measure);
+        const grouping = [];
+        let beats = 0;
+
+        for (const group of this.getGrouping(sectionIndex)) {
+            if (beats >= measureBeats) break;
+            grouping.push(Math.min(group, measureBeats - beats));
+            beats += group;
+        }
+        return grouping;
+    }
+
+    /**
+     * Get the beat groups of a section
+     * @param {number} sectionIndex - Section index
+     * @returns {Array<number>} Group sizes; a single group when the measure is not grouped
+     */
+    getGrouping(sectionIndex) {
+        const section = this.sections[sectionIndex];
+        const { beats } = this.getTimeSignature(sectionIndex);
+        const grouping = Utils.validateGrouping(section?.grouping, beats) ||
+            Utils.getDefaultGrouping(section?.timeSignature);
+
+        return grouping ? grouping.split('+').map(Number) : [beats];
+    }
+
+    /**
+     * Get the polyrhythm of a section
+     * @param {number} sectionIndex - Section index
+     * @returns {Object|null} Secondary pulses and main beats per measure, or null
+     */
+    getPolyrhythm(sectionIndex) {
+        const polyrhythm = Utils.validatePolyrhythm(this.sections[sectionIndex]?.polyrhythm);
+        if (!polyrhythm) return null;
+
+        const [pulses, beats] = polyrhythm.split(':').map(Number);
+        return { pulses, beats };
+    }
+
+    /**
+     * Get the subdivision of a section.
+     * Sections start on a downbeat, so the click switches on their first downbeat.
+     * @param {number} sectionIndex - Section index
+     * @returns {string} Section subdivision, or the song subdivision
+     */
+    getSubdivision(sectionIndex) {
+        return this.sections[sectionIndex]?.subdivision || this.subdivision;
+    }
+
+    /**
+     * Get the accent of a click
+     * @param {Object} position - Cursor with section, beat and subdivision
+     * @returns {string|boolean} 'primary' on beat one, 'secondary' at other group starts, otherwise false
+     */
+    getAccent(position) {
+        if (position.subdivision !== 0) return false;
+        if (position.beat === 0) return 'primary';
+
+        let groupStart = 0;
+        for (const group of this.getGrouping(position.section)) {
+            if (groupStart === position.beat) return 'secondary';
+            groupStart += group;
+        }
+        return false;
+    }
+
+    /**
+     * Get the accent pattern level of a click
+     * @param {Object} position - Cursor with section, beat and subdivision
+     * @returns {string|null} 'accent', 'normal', 'ghost' or 'mute', or null without a matching pattern
+     */
+    getAccentLevel(position) {
+        const clicksPerBeat = this.audioManager.getSubdivisionSettings(this.getSubdivision(position.section)).clicksPerBeat;
+        const clicksPerMeasure = this.getTimeSignature(position.section).beats * clicksPerBeat;
+
+        // A pattern only applies to measures with as many clicks as it has cells
+        const sectionAccents = this.sections[position.section]?.accents;
+        const accents = [sectionAccents, this.accents].find(pattern => pattern?.length === clicksPerMeasure);
+        if (!accents) return null;
+
+        return accents[position.beat * clicksPerBeat + position.subdivision];
+    }
+
+    /**
+     * Get the duration of one beat.
+     * The tempo always counts quarter notes, so an eighth-note beat lasts half as long.
+     * @param {number} sectionIndex - Section index
+     * @param {number} measure - Measure within the section
+     * @param {number} beat - Beat within the measure
+     * @param {number} step - Play order step of the section, defaults to where it is first played
+     * @returns {number} Duration in seconds
+     */
+    getBeatDuration(sectionIndex, measure = 0, beat = 0, step) {
+        const { noteValue } = this.getTimeSignature(sectionIndex);
+        return (60 / this.getTempoAt(sectionIndex, measure, beat, step)) * (4 / noteValue);
+    }
+
+    /**
+     * Get the tempo of a section
+     * @param {number} sectionIndex - Section index
+     * @param {number} step - Play order step of the section, defaults to where it is first played
+     * @returns {number} Tempo from a metric modulation, the section tempo override, or the song tempo
+     */
+    getSectionTempo(sectionIndex, step = this.findStep(sectionIndex)) {
+        const section = this.sections[sectionIndex];
+
+        // A metric modulation sets the tempo relative to where the section played before it ended,
+        // which after a repeat ending or a jump is not the section above it
+        const previousStep = section?.modulation ? this.findPreviousSectionStep(step) : -1;
+        if (previousStep >= 0) {
+            const previousIndex = this.playOrder[previousStep].section;
+            const previous = this.sections[previousIndex];
+            const previousEndTempo = previous.ramp ? previous.ramp.endTempo : this.getSectionTempo(previousIndex, previousStep);
+            return Utils.applyModulation(previousEndTempo, section.modulation);
+        }
+
+        return section?.tempo || this.tempo;
+    }
+
+    /**
+     * Find the last step before a step that plays another section. Repeats of a
+     * section are skipped, so they keep the tempo the section modulated to.
+     * @param {number} step - Play order step
+     * @returns {number} Play order step, -1 if no other section was played before
+     */
+    findPreviousSectionStep(step) {
+        const sectionIndex = this.playOrder[step]?.section;
+        let previousStep = step - 1;
+        while (previousStep >= 0 && this.playOrder[previousStep].section === sectionIndex) previousStep--;
+        return previousStep;
+    }
+
+    /**
+     * Get the factor the tempo trainer applies to every tempo in the song
+     * @returns {number} Trainer tempo relative to the song tempo, 1 without trainer
+     */
+    getTempoScale() {
+        return this.trainerTempo ? this.trainerTempo / this.tempo : 1;
+    }
+
+    /**
+     * Set the tempo trainer's song tempo. Section tempos and ramps keep their
+     * proportion to it. Takes effect from the next scheduled click.
+     * @param {number|null} tempo - Trainer tempo, or null to play the song tempo
+     */
+    setTrainerTempo(tempo) {
+        this.trainerTempo = tempo ? Utils.validateTempo(tempo) : null;
+        this.updateDisplay();
+    }
+
+    /**
+     * Get the tempo of a beat, following the section's ramp if it has one
+     * @param {number} sectionIndex - Section index
+     * @param {number} measure - Measure within the section
+     * @param {number} beat - Beat within the measure
+     * @param {number} step - Play order step of the section, defaults to where it is first played
+     * @returns {number} Tempo in BPM
+     */
+    getTempoAt(sectionIndex, measure = 0, beat = 0, step) {
+        const scale = this.getTempoScale();
+        const sectionTempo = this.getSectionTempo(sectionIndex, step);
+        const ramp = this.sections[sectionIndex]?.ramp;
+        if (!ramp) return sectionTempo * scale;
+
+        const beatsPerMeasure = this.getTimeSignature(sectionIndex).beats;
+        const rampStartBeat = (ramp.startBar - 1) * beatsPerMeasure;
+        const rampBeats = (ramp.endBar - ramp.startBar + 1) * beatsPerMeasure;
+        const position = measure * beatsPerMeasure + beat - rampStartBeat;
+
+        if (position < 0) return sectionTempo * scale;
+        if (position >= rampBeats) return ramp.endTempo * scale;
+
+        // The first ramp beat plays at the start tempo and the last at the end tempo
+        const progress = rampBeats > 1 ? position / (rampBeats - 1) : 1;
+        return this.applyRampCurve(ramp.startTempo || sectionTempo, ramp.endTempo, ramp.curve, progress) * scale;
+    }
+
+    /**
+     * Interpolate between two tempos along a ramp curve
+     * @param {number} startTempo - Tempo at the start of the ramp
+     * @param {number} endTempo - Tempo at the end of the ramp
+     * @param {string} curve - 'linear', 'exponential', 'ease-in' or 'ease-out'
+     * @param {number} progress - Position in the ramp from 0 to 1
+     * @returns {number} Tempo in BPM
+     */
+    applyRampCurve(startTempo, endTempo, curve, progress) {
+        switch (curve) {
+            case 'exponential':
+                return startTempo * Math.pow(endTempo / startTempo, progress);
+            case 'ease-in':
+                return startTempo + (endTempo - startTempo) * progress * progress;
+            case 'ease-out':
+                return startTempo + (endTempo - startTempo) * (1 - Math.pow(1 - progress, 2));
+            default:
+                return startTempo + (endTempo - startTempo) * progress;
+        }
+    }
+
+    /**
+     * Get the tempo at the last beat of a section, including a short last bar
+     * @param {number} sectionIndex - Section index
+     * @param {number} step - Play order step of the section, defaults to where it is first played
+     * @returns {number} Tempo in BPM
+     */
+    getSectionEndTempo(sectionIndex, step) {
+        const lastMeasure = this.getMeasureCount(sectionIndex) - 1;
+        return this.getTempoAt(sectionIndex, lastMeasure, this.getMeasureBeats(sectionIndex, lastMeasure) - 1, step);
+    }
+
+    /**
+     * Get the swing of a section
+     * @param {number} sectionIndex - Section index
+     * @returns {number} Section swing override, or the song swing
+     */
+    getSwing(sectionIndex) {
+        return this.sections[sectionIndex]?.swing || this.swing;
+    }
+
+    /**
+     * Set the song swing. Takes effect from the next scheduled click.
+     * @param {number} swing - Swing percentage from 50 to 75
+     */
+    setSwing(swing) {
+        this.swing = Utils.validateSwing(swing);
+        this.updateDisplay();
+    }
+
+    /**
+     * Get the duration of one subdivision click.
+     * With swing, the on-beat click of each eighth or sixteenth pair is held longer
+     * and the off-beat click comes late by the same amount.
+     * @param {Object} position - Cursor with section, measure, beat and subdivision
+     * @returns {number} Duration in seconds
+     */
+    getSubdivisionDuration(position) {
+        const subdivision = this.getSubdivision(position.section);
+        const subdivisionSettings = this.audioManager.getSubdivisionSettings(subdivision);
+        const beatDuration = this.getBeatDuration(position.section, position.measure, position.beat, position.step);
+        const straightDuration = beatDuration / subdivisionSettings.clicksPerBeat;
+
+        if (!['eighth', 'sixteenth'].includes(subdivision)) {
+            return straightDuration;
+        }
+
+        const swingRatio = this.getSwing(position.section) / 100;
+        const isOnBeat = (position.subdivision || 0) % 2 === 0;
+        return 2 * straightDuration * (isOnBeat ? swingRatio : 1 - swingRatio);
+    }
+
+    /**
+     * Describe a section for voice announcements
+     * @param {number} sectionIndex - Section index
+     * @param {number} step - Play order step of the section, defaults to where it is first played
+     * @returns {string} Section name with measure count and meter when relevant
+     */
+    describeSection(sectionIndex, step = this.findStep(sectionIndex)) {
+        const section = this.sections[sectionIndex];
+        const extraBeatsText = section.extraBeats ? ` and ${section.extraBeats} beats` : '';
+        const measureText = this.audioManager.measureAnnouncementEnabled 
+            ? `, ${section.measures} measures${extraBeatsText}` 
+            : '';
+
+        // Only mention the meter when it is unusual or changes
+        const timeSignature = Utils.validateTimeSignature(section.timeSignature);
+        const previousTimeSignature = sectionIndex > 0
+            ? Utils.validateTimeSignature(this.sections[sectionIndex - 1].timeSignature)
+            : '4/4';
+        const groupingText = section.grouping ? `, ${section.grouping}` : '';
+        const polyrhythm = this.getPolyrhythm(sectionIndex);
+        const polyrhythmText = polyrhythm ? `, ${polyrhythm.pulses} against ${polyrhythm.beats}` : '';
+        const meterText = timeSignature !== previousTimeSignature || timeSignature !== '4/4'
+            ? ` in ${timeSignature}${groupingText}`
+            : '';
+
+        // Mention the tempo when it changes from the section played before
+        const tempo = Math.round(this.getTempoAt(sectionIndex, 0, 0, step));
+        const previousStep = this.findPreviousSectionStep(step);
+        const previousEndTempo = previousStep >= 0
+            ? Math.round(this.getSectionEndTempo(this.playOrder[previousStep].section, previousStep))
+            : null;
+        let tempoText = previousStep >= 0 && tempo !== previousEndTempo
+            ? ` at ${tempo} BPM`
+            : '';
+        if (section.modulation && previousStep >= 0) {
+            tempoText = `, modulate, new quarter at ${tempo}`;
+        }
+
+        // Warn about tempo ramps inside the section
+        let rampText = '';
+        if (section.ramp) {
+            const rampStartTempo = section.ramp.startTempo || this.getSectionTempo(sectionIndex, step);
+            const direction = section.ramp.endTempo > rampStartTempo ? 'accelerando' : 'ritardando';
+            rampText = `, ${direction} to ${Math.round(section.ramp.endTempo * this.getTempoScale())}`;
+        }
+
+        return `${section.name}${measureText}${meterText}${polyrhythmText}${tempoText}${rampText}`;
+    }
+
+    /**
+     * Describe a play order step for voice announcements
+     * @param {number} step - Play order step
+     * @returns {string} Section description, with the pass when the section repeats
+     */
+    describeStep(step) {
+        const { section, pass, passes } = this.playOrder[step];
+        const passText = passes > 1 ? `, ${pass} of ${passes}` : '';
+        return `${this.describeSection(section, step)}${passText}`;
+    }
+
+    /**
+     * Keep the display in step with the audio while playing
+     */
+    drawLoop() {
+        if (!this.isPlaying) return;
+
+        this.processDueEvents();
+        this.drawFrameId = requestAnimationFrame(() => this.drawLoop());
+    }
+
+    /**
+     * Apply every scheduled event whose time has been reached
+     */
+    processDueEvents() {
+        const audioContext = this.audioManager.audioContext;
+        if (!audioContext) return;
+
+        while (this.eventQueue.length > 0 && this.eventQueue[0].time <= audioContext.currentTime) {
+            const event = this.eventQueue.shift();
+
+            if (event.type === 'end') {
+                this.completeSong();
+                return;
+            }
+
+            if (event.type === 'count-in') {
+                this.handleCountInEvent(event);
+                continue;
+            }
+
+            if (event.type === 'pulse') {
+                this.currentPulse = event.index;
+                this.updateDisplay();
+                continue;
+            }
+
+            if (event.type === 'boundary') {
+                continue;
+            }
+
+            this.handleClickEvent(event);
+        }
+    }
+
+    /**
+     * Show and speak a count-in beat that is now audible
+     * @param {Object} event - Scheduled count-in event
+     */
+    handleCountInEvent(event) {
+        this.uiManager.flashBeat();
+        this.uiManager.showCountIn(event.total - event.beat + 1);
+
+        if (this.isCountInVoiceEnabled()) {
+            this.audioManager.speakCount(event.beat);
+        }
+    }
+
+    /**
+     * Update position, visuals and announcements for a click that is now audible
+     * @param {Object} event - Scheduled click event
+     */
+    handleClickEvent(event) {
+        // The first real click ends the count-in countdown
+        this.uiManager.hideCountIn();
+
+        this.currentSection = event.section;
+        this.currentMeasure = event.measure;
+        this.currentBeat = event.beat;
+        this.currentSubdivision = event.subdivision;
+        this.currentStep = event.step;
+        this.currentLoopPass = event.loopPass;
+        this.isMuted = event.muted;
+
+        // Flash beat only on first subdivision of each beat, and keep it dark
+        // in silent bars when the player should not be able to follow it
+        if (event.isBeatStart && !(event.muted && this.gap.hideBeat)) {
+            this.uiManager.flashBeat();
+        }
+
+        // Announce upcoming section on downbeat of the last full measure of current section,
+        // so a short last bar still leaves time to speak
+        const currentSectionData = this.sections[event.section];
+        const next = this.getNextPosition(event.step, event.loopPass);
+        if (event.isDownbeat &&
+            this.audioManager.voiceEnabled &&
+            currentSectionData &&
+            !currentSectionData.vamp && // Vamps announce when they are cued
+            next &&
+            event.measure === currentSectionData.measures - 1) {
+            const prefix = next.isLoopWrap ? 'Again' : 'Next';
+            this.audioManager.announceSection(
+                `${prefix}: ${this.describeStep(next.step)}`,
+                (text) => this.uiManager.showTextAnnouncement(text)
+            );
+        }
+
+        this.updateDisplay();
     }
 
     /**
@@ -216,6 +1304,7 @@ class SongManager {
      */
     completeSong() {
         this.stop();
+        this.notifyObservers('song-completed', { title: this.songTitle });
         
         if (this.audioManager.voiceEnabled) {
             this.audioManager.announceSection(
@@ -229,35 +1318,72 @@ class SongManager {
     }
 
     /**
-     * Set subdivision and update display
+     * Set subdivision. While playing it takes effect at the next beat or downbeat.
      * @param {string} newSubdivision - New subdivision value
      */
     setSubdivision(newSubdivision) {
-        this.subdivision = newSubdivision;
-        this.updateDisplay();
+        this.requestChange({ subdivision: newSubdivision });
     }
 
     /**
-     * Set tempo with validation
+     * Set tempo with validation. While playing it takes effect at the next beat
+     * or downbeat without interrupting the click.
      * @param {number} newTempo - New tempo value
      */
     setTempo(newTempo) {
         const validatedTempo = Utils.validateTempo(newTempo);
         
-        if (this.tempo !== validatedTempo) {
-            this.tempo = validatedTempo;
-            this.updateDisplay();
-            
-            // If playing, restart with new tempo
-            if (this.isPlaying) {
-                const wasPlaying = true;
-                this.pause();
-                if (wasPlaying) {
-                    // Small delay to ensure clean restart
-                    setTimeout(() => this.play(), 100);
-                }
-            }
+        if (this.tempo !== validatedTempo || this.pendingChange?.tempo) {
+            this.requestChange({ tempo: validatedTempo });
+        }
+    }
+
+    /**
+     * Apply a tempo or subdivision change now, or at the next change point while playing
+     * @param {Object} change - New tempo and/or subdivision
+     */
+    requestChange(change) {
+        this.pendingChange = { ...this.pendingChange, ...change };
+
+        if (!this.isPlaying) {
+            this.applyPendingChange();
+        }
+    }
+
+    /**
+     * Check whether a pending change may take effect at a position
+     * @param {Object} position - Cursor with beat and subdivision
+     * @returns {boolean} True on the first click of a beat, or of a measure
+     *     when changes wait for the downbeat
+     */
+    isLiveChangePoint(position) {
+        if (position.subdivision !== 0) return false;
+
+        const applyAt = this.configManager?.get('playback.liveChangeAt', 'beat');
+        return applyAt !== 'downbeat' || position.beat === 0;
+    }
+
+    /**
+     * Apply the pending tempo and subdivision change from the cursor on
+     */
+    applyPendingChange() {
+        const { tempo, subdivision } = this.pendingChange;
+        this.pendingChange = null;
+
+        if (tempo) {
+            this.tempo = tempo;
+        }
+
+        if (subdivision) {
+            this.subdivision = subdivision;
+            this.audioManager.setSubdivision(subdivision);
         }
+
+        // Secondary pulses not yet due were planned at the old timing
+        this.pendingPulses = this.pendingPulses.filter(pulse => pulse.time < this.nextClickTime - 0.001);
+        this.pulsesPlanned = false;
+
+        this.updateDisplay();
     }
 
     /**
@@ -265,13 +1391,27 @@ class SongManager {
      */
     updateDisplay() {
         const state = {
-            tempo: this.tempo,
+            tempo: Math.round(this.getTempoAt(this.currentSection, this.currentMeasure, this.currentBeat, this.currentStep)),
             songTitle: this.songTitle,
-            subdivision: this.subdivision,
+            subdivision: this.getSubdivision(this.currentSection),
+            swing: this.getSwing(this.currentSection),
             sections: this.sections,
             currentSection: this.currentSection,
+            sectionPass: this.playOrder[this.currentStep] || null,
             currentMeasure: this.currentMeasure,
-            currentBeat: this.currentBeat
+            measureTotal: this.getMeasureCount(this.currentSection),
+            measureBeats: this.currentMeasure < 0
+                ? this.pickupBeats
+                : this.getMeasureBeats(this.currentSection, this.currentMeasure),
+            currentBeat: this.currentBeat,
+            grouping: this.getMeasureGrouping(this.currentSection, this.currentMeasure),
+            polyrhythm: this.getPolyrhythm(this.currentSection),
+            currentPulse: this.currentPulse,
+            loop: this.getLoopRange() ? this.loop : null,
+            loopPass: this.currentLoopPass,
+            isMuted: this.isMuted,
+            hideBeat: this.isMuted && this.gap.hideBeat,
+            vamp: this.sections[this.currentSection]?.vamp ? { cued: !!this.vampCue } : null
         };
         
         this.uiManager.updateDisplay(state);
@@ -296,24 +1436,90 @@ class SongManager {
      * @param {number} sectionIndex - Section index to jump to
      */
     jumpToSection(sectionIndex) {
+        this.seek(sectionIndex);
+    }
+
+    /**
+     * Move playback to a bar of a section. While playing, playback goes on from
+     * there after the count-in.
+     * @param {number} sectionIndex - Section index; the next time the song form plays it
+     * @param {number} measure - Measure within the section, from 0
+     * @param {number} preRoll - Bars to play before the target, counted in by at least one bar
+     */
+    seek(sectionIndex, measure = 0, preRoll = 0) {
         if (sectionIndex >= 0 && sectionIndex < this.sections.length) {
-            const wasPlaying = this.isPlaying;
-            
-            if (wasPlaying) this.pause();
-            
-            this.currentSection = sectionIndex;
-            this.currentMeasure = 0;
-            this.currentBeat = 0;
-            
-            this.updateDisplay();
-            
-            if (wasPlaying) {
-                setTimeout(() => this.play(), 100);
+            this.seekStep(this.findStep(sectionIndex, this.currentStep), measure, preRoll);
+        }
+    }
+
+    /**
+     * Move playback to the previous or next section of the play order.
+     * Going back from inside a section first returns to its start.
+     * @param {number} direction - -1 for the previous section, 1 for the next
+     */
+    skipSection(direction) {
+        if (this.playOrder.length === 0) return;
+
+        const step = direction < 0 && this.currentMeasure > 0
+            ? this.currentStep
+            : this.currentStep + direction;
+        this.seekStep(Math.min(Math.max(step, 0), this.playOrder.length - 1));
+    }
+
+    /**
+     * Move playback to a bar of a play order step
+     * @param {number} step - Play order step
+     * @param {number} measure - Measure within the step's section, from 0
+     * @param {number} preRoll - Bars to play before the target
+     */
+    seekStep(step, measure = 0, preRoll = 0) {
+        if (step < 0 || step >= this.playOrder.length) return;
+
+        const wasPlaying = this.isPlaying;
+        if (wasPlaying) this.pause();
+
+        const targetSection = this.playOrder[step].section;
+        const lastMeasure = this.getMeasureCount(targetSection) - 1;
+        const target = { step, measure: Math.min(Math.max(parseInt(measure) || 0, 0), lastMeasure) };
+
+        // Walk back through the play order for the pre-roll, no further than the song start
+        const start = { ...target };
+        let preRollBars = 0;
+        while (preRollBars < preRoll && (start.step > 0 || start.measure > 0)) {
+            if (start.measure > 0) {
+                start.measure--;
+            } else {
+                start.step--;
+                start.measure = this.getMeasureCount(this.playOrder[start.step].section) - 1;
             }
-            
-            const sectionName = this.sections[sectionIndex]?.name || 'Unknown';
-            this.uiManager.announceToScreenReader(`Jumped to ${sectionName}`);
+            preRollBars++;
+        }
+
+        const section = this.playOrder[start.step].section;
+        this.currentStep = start.step;
+        this.currentSection = section;
+        this.currentMeasure = start.measure;
+        this.currentBeat = 0;
+        this.currentSubdivision = 0;
+        this.cursor = this.createCursor({ section, step: start.step, measure: start.measure });
+        this.countInPending = true;
+        this.preRollCountIn = preRollBars > 0;
+        this.vampCue = null;
+        this.isStopped = false;
+
+        const targetName = this.sections[targetSection].name;
+        const measureText = target.measure > 0 ? `, measure ${target.measure + 1}` : '';
+        this.startAnnouncement = preRollBars > 0
+            ? `Starting ${preRollBars} ${preRollBars === 1 ? 'bar' : 'bars'} before ${targetName}${measureText}`
+            : (measureText ? `Starting at ${targetName}${measureText}` : null);
+
+        this.updateDisplay();
+
+        if (wasPlaying) {
+            this.play();
         }
+
+        this.uiManager.announceToScreenReader(`Jumped to ${targetName}${measureText}`);
     }
 
     /**
@@ -321,9 +1527,30 @@ class SongManager {
      * @returns {Object} Song statistics
      */
     getSongStats() {
-        const totalMeasures = this.sections.reduce((sum, section) => sum + section.measures, 0);
-        const totalBeats = totalMeasures * 4;
-        const durationSeconds = (totalBeats * 60) / this.tempo;
+        let totalMeasures = 0;
+        let totalBeats = 0;
+        let durationSeconds = 0;
+
+        // The pickup adds beats but no measure
+        if (this.playOrder.length > 0) {
+            totalBeats += this.pickupBeats;
+            durationSeconds += this.pickupBeats * this.getBeatDuration(this.playOrder[0].section, -1, 0, 0);
+        }
+
+        // Count sections as often as the song form plays them
+        this.playOrder.forEach(({ section: index }, step) => {
+            const measureCount = this.getMeasureCount(index);
+            totalMeasures += measureCount;
+
+            // Sum beat by beat so tempo ramps and short bars are measured exactly
+            for (let measure = 0; measure < measureCount; measure++) {
+                const measureBeats = this.getMeasureBeats(index, measure);
+                totalBeats += measureBeats;
+                for (let beat = 0; beat < measureBeats; beat++) {
+                    durationSeconds += this.getBeatDuration(index, measure, beat, step);
+                }
+            }
+        });
         
         return {
             totalSections: this.sections.length,
@@ -345,12 +1572,52 @@ class SongManager {
         return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * Add observer for playback events
+     * @param {Function} callback - Called with event name and data
+     */
+    addObserver(callback) {
+        this.observers.add(callback);
+    }
+
+    /**
+     * Remove observer
+     * @param {Function} callback - Observer to remove
+     */
+    removeObserver(callback) {
+        this.observers.delete(callback);
+    }
+
+    /**
+     * Notify all observers of a playback event
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    notifyObservers(event, data) {
+        this.observers.forEach(callback => {
+            try {
+                callback(event, data);
+            } catch (error) {
+                console.error('Observer error:', error);
+            }
+        });
+    }
+
     /**
      * Clean up resources
      */
     cleanup() {
         this.stop();
-        // Additional cleanup if needed
+
+        if (this.timerWorker) {
+            this.timerWorker.terminate();
+            this.timerWorker = null;
+        }
+
+        if (this.timerWorkerUrl) {
+            URL.revokeObjectURL(this.timerWorkerUrl);
+            this.timerWorkerUrl = null;
+        }
     }
 }
 
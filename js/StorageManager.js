@@ -123,10 +123,12 @@ class StorageManager {
             songData.title = Utils.sanitizeInput(songData.title);
             songData.tempo = Utils.validateTempo(songData.tempo);
             songData.subdivision = songData.subdivision || 'quarter';
-            songData.sections = songData.sections.map(section => ({
-                name: Utils.sanitizeInput(section.name),
-                measures: Utils.validateMeasures(section.measures)
-            }));
+            songData.swing = Utils.validateSwing(songData.swing);
+            songData.accents = Utils.validateAccents(songData.accents);
+            songData.sounds = Utils.validateSounds(songData.sounds);
+            songData.mixer = Utils.validateMixer(songData.mixer);
+            songData.sections = songData.sections.map(section => this.sanitizeSection(section));
+            songData.pickupBeats = this.sanitizePickup(songData);
 
             this.savedSongs[songData.id] = songData;
             
@@ -146,6 +148,89 @@ class StorageManager {
         }
     }
 
+    /**
+     * Sanitize a section before it is stored
+     * @param {Object} section - Section object
+     * @returns {Object} Sanitized section
+     */
+    sanitizeSection(section) {
+        const sanitized = {
+            name: Utils.sanitizeInput(section.name),
+            measures: Utils.validateMeasures(section.measures),
+            timeSignature: Utils.validateTimeSignature(section.timeSignature)
+        };
+
+        // In a polyrhythm the main pulse sets the beats of the measure
+        const polyrhythm = Utils.validatePolyrhythm(section.polyrhythm);
+        if (polyrhythm) {
+            const { noteValue } = Utils.parseTimeSignature(sanitized.timeSignature);
+            sanitized.timeSignature = `${polyrhythm.split(':')[1]}/${noteValue}`;
+            sanitized.polyrhythm = polyrhythm;
+        }
+
+        // Optional beat grouping such as 2+2+3
+        const grouping = Utils.validateGrouping(section.grouping, Utils.parseTimeSignature(sanitized.timeSignature).beats);
+        if (grouping) {
+            sanitized.grouping = grouping;
+        }
+
+        // Optional tempo override or metric modulation, otherwise the song tempo applies
+        const modulation = Utils.validateModulation(section.modulation);
+        if (modulation) {
+            sanitized.modulation = modulation;
+        } else if (section.tempo) {
+            sanitized.tempo = Utils.validateTempo(section.tempo);
+        }
+
+        // Optional swing override, otherwise the song swing applies
+        if (section.swing) {
+            sanitized.swing = Utils.validateSwing(section.swing);
+        }
+
+        // Optional subdivision override, otherwise the song subdivision applies
+        const subdivision = Utils.validateSubdivision(section.subdivision);
+        if (subdivision) {
+            sanitized.subdivision = subdivision;
+        }
+
+        const ramp = Utils.validateRamp(section.ramp, sanitized.measures);
+        if (ramp) {
+            sanitized.ramp = ramp;
+        }
+
+        // Repeats, endings and jumps of the song form
+        Object.assign(sanitized, Utils.validateSectionForm(section));
+
+        // Optional short last bar
+        const extraBeats = Utils.validatePartialBeats(section.extraBeats, Utils.parseTimeSignature(sanitized.timeSignature).beats);
+        if (extraBeats) {
+            sanitized.extraBeats = extraBeats;
+        }
+
+        // Vamps repeat until the player cues the next section
+        if (section.vamp) {
+            sanitized.vamp = true;
+        }
+
+        // Optional accent pattern, otherwise the song pattern applies
+        const accents = Utils.validateAccents(section.accents);
+        if (accents) {
+            sanitized.accents = accents;
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Sanitize the pickup of a song, which must be shorter than its first measure
+     * @param {Object} song - Song with sanitized sections
+     * @returns {number} Pickup beats, 0 for none
+     */
+    sanitizePickup(song) {
+        const firstMeasureBeats = Utils.parseTimeSignature(song.sections[0]?.timeSignature).beats;
+        return Utils.validatePartialBeats(song.pickupBeats, firstMeasureBeats) || 0;
+    }
+
     /**
      * Load a song by ID
      * @param {string} songId - Song ID to load
@@ -160,6 +245,47 @@ class StorageManager {
         return song;
     }
 
+    /**
+     * Update the tempo of a saved song
+     * @param {string} songId - Song ID to update
+     * @param {number} tempo - New song tempo
+     * @returns {boolean} Success status
+     */
+    updateSongTempo(songId, tempo) {
+        const song = this.savedSongs[songId];
+        if (!song) {
+            Utils.createErrorNotification('Song not found');
+            return false;
+        }
+
+        song.tempo = Utils.validateTempo(tempo);
+        song.savedAt = new Date().toISOString();
+
+        const success = this.saveSongs();
+        if (success) {
+            Utils.createSuccessNotification(`"${song.title}" now plays at ${song.tempo} BPM`);
+        }
+        return success;
+    }
+
+    /**
+     * Store a song's own mix, or remove it so the song uses the app mix
+     * @param {string} songId - Song ID
+     * @param {Object|null} mixer - Mixer settings, or null
+     * @returns {boolean} Success status
+     */
+    updateSongMixer(songId, mixer) {
+        const song = this.savedSongs[songId];
+        if (!song) {
+            Utils.createErrorNotification('Song not found');
+            return false;
+        }
+
+        song.mixer = Utils.validateMixer(mixer);
+        song.savedAt = new Date().toISOString();
+        return this.saveSongs();
+    }
+
     /**
      * Delete a song by ID
      * @param {string} songId - Song ID to delete
@@ -200,8 +326,9 @@ class StorageManager {
 
     /**
      * Export all songs to JSON file
+     * @param {Object} samples - Custom samples the songs use, by id, with name and base64 WAV data
      */
-    exportAllSongs() {
+    exportAllSongs(samples = {}) {
         try {
             // Create optimized export format without redundant id fields
             const optimizedSongs = {};
@@ -211,11 +338,15 @@ class StorageManager {
             });
 
             const exportData = {
-                version: '1.1',
+                version: '1.3',
                 exportDate: new Date().toISOString(),
                 songs: optimizedSongs
             };
 
+            if (Object.keys(samples).length > 0) {
+                exportData.samples = samples;
+            }
+
             const blob = new Blob([JSON.stringify(exportData, null, 2)], { 
                 type: 'application/json' 
             });
@@ -272,7 +403,7 @@ class StorageManager {
     /**
      * Process imported song data
      * @param {Object} importData - Imported data object
-     * @param {Function} callback - Callback function
+     * @param {Function} callback - Callback function, given the custom samples bundled with the songs
      */
     processImportData(importData, callback) {
         if (!importData.songs) {
@@ -302,16 +433,19 @@ class StorageManager {
                     }
 
                     // Sanitize imported data
+                    const sections = song.sections.map(section => this.sanitizeSection(section));
                     this.savedSongs[newId] = {
                         ...song,
                         id: newId,
                         title: Utils.sanitizeInput(song.title),
                         tempo: Utils.validateTempo(song.tempo),
                         subdivision: song.subdivision || 'quarter',
-                        sections: song.sections.map(section => ({
-                            name: Utils.sanitizeInput(section.name),
-                            measures: Utils.validateMeasures(section.measures)
-                        })),
+                        swing: Utils.validateSwing(song.swing),
+                        accents: Utils.validateAccents(song.accents),
+                        sounds: Utils.validateSounds(song.sounds),
+                        mixer: Utils.validateMixer(song.mixer),
+                        sections,
+                        pickupBeats: this.sanitizePickup({ ...song, sections }),
                         importedAt: new Date().toISOString()
                     };
                     importedCount++;
@@ -321,7 +455,7 @@ class StorageManager {
             this.saveSongs();
             Utils.createSuccessNotification(`${importedCount} song(s) imported successfully!`);
             
-            if (callback) callback();
+            if (callback) callback(importData.samples || {});
         } catch (error) {
             console.error('Import processing error:', error);
             Utils.createErrorNotification('Import failed');
@@ -338,11 +472,31 @@ class StorageManager {
                typeof song.title === 'string' && 
                song.title.trim() &&
                typeof song.tempo === 'number' &&
+               (song.swing == null || typeof song.swing === 'number') &&
+               (song.pickupBeats == null || typeof song.pickupBeats === 'number') &&
+               (song.accents == null || Array.isArray(song.accents)) &&
+               (song.sounds == null || typeof song.sounds === 'object') &&
+               (song.mixer == null || typeof song.mixer === 'object') &&
                Array.isArray(song.sections) &&
                song.sections.length > 0 &&
                song.sections.every(section => 
                    section.name && 
-                   typeof section.measures === 'number'
+                   typeof section.measures === 'number' &&
+                   (section.timeSignature === undefined || typeof section.timeSignature === 'string') &&
+                   (section.grouping === undefined || typeof section.grouping === 'string') &&
+                   (section.polyrhythm === undefined || typeof section.polyrhythm === 'string') &&
+                   (section.tempo == null || typeof section.tempo === 'number') &&
+                   (section.modulation == null || typeof section.modulation === 'object') &&
+                   (section.swing == null || typeof section.swing === 'number') &&
+                   (section.subdivision == null || typeof section.subdivision === 'string') &&
+                   (section.vamp == null || typeof section.vamp === 'boolean') &&
+                   (section.extraBeats == null || typeof section.extraBeats === 'number') &&
+                   (section.repeat == null || typeof section.repeat === 'number') &&
+                   (section.repeatEnd == null || typeof section.repeatEnd === 'number') &&
+                   (section.ending == null || Array.isArray(section.ending)) &&
+                   (section.marker == null || typeof section.marker === 'string') &&
+                   (section.jump == null || typeof section.jump === 'string') &&
+                   (section.accents == null || Array.isArray(section.accents))
                );
     }
 
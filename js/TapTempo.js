@@ -0,0 +1,93 @@
+// DrumHelper Tap Tempo Module
+
+/**
+ * TapTempo detects a tempo from taps on a button, key or touch area
+ */
+class TapTempo {
+    /**
+     * @param {Object} options - maxTaps, resetAfter (ms) and outlierTolerance (share of the median interval)
+     */
+    constructor(options = {}) {
+        this.maxTaps = options.maxTaps || 8;
+        this.resetAfter = options.resetAfter || 2000;
+        this.outlierTolerance = options.outlierTolerance || 0.25;
+
+        this.taps = [];
+    }
+
+    /**
+     * Register a tap
+     * @param {number} time - Tap time in milliseconds (event.timeStamp or performance.now())
+     * @returns {Object} Detection result, see getResult()
+     */
+    tap(time = performance.now()) {
+        const lastTap = this.taps[this.taps.length - 1];
+
+        // A pause (or a clock going backwards) starts a new measurement
+        if (lastTap !== undefined && (time - lastTap > this.resetAfter || time <= lastTap)) {
+            this.reset();
+        }
+
+        this.taps.push(time);
+        if (this.taps.length > this.maxTaps) {
+            this.taps.shift();
+        }
+
+        return this.getResult();
+    }
+
+    /**
+     * Forget all taps
+     */
+    reset() {
+        this.taps = [];
+    }
+
+    /**
+     * Get the detected tempo from the current taps
+     * @returns {Object} bpm (null before the second tap), confidence (0-100), taps and discarded outliers
+     */
+    getResult() {
+        const intervals = [];
+        for (let i = 1; i < this.taps.length; i++) {
+            intervals.push(this.taps[i] - this.taps[i - 1]);
+        }
+
+        if (intervals.length === 0) {
+            return { bpm: null, confidence: 0, taps: this.taps.length, outliers: 0 };
+        }
+
+        // Intervals far from the median are missed or doubled taps
+        const sorted = [...intervals].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        const kept = intervals.filter(interval => Math.abs(interval - median) <= median * this.outlierTolerance);
+
+        // No interval is close to the median (say 500 ms then 1000 ms): go by the median, with no confidence
+        if (kept.length === 0) {
+            return {
+                bpm: Math.round(60000 / median),
+                confidence: 0,
+                taps: this.taps.length,
+                outliers: intervals.length
+            };
+        }
+
+        const mean = kept.reduce((sum, interval) => sum + interval, 0) / kept.length;
+        const variance = kept.reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / kept.length;
+
+        // Steady taps (under 10% deviation) and a full set of them give full confidence
+        const steadiness = Math.max(0, 1 - Math.sqrt(variance) / mean / 0.1);
+        const coverage = kept.length / (this.maxTaps - 1);
+
+        return {
+            bpm: Math.round(60000 / mean),
+            confidence: Math.round(100 * steadiness * coverage),
+            taps: this.taps.length,
+            outliers: intervals.length - kept.length
+        };
+    }
+}
+
+// Export for use in other modules
+window.TapTempo = TapTempo;
@@ -0,0 +1,211 @@
+// DrumHelper Tempo Trainer Module
+
+/**
+ * TempoTrainer raises the tempo of looped playback step by step ("speed builder")
+ */
+class TempoTrainer {
+    /**
+     * @param {SongManager} songManager - Song manager whose loop passes drive the trainer
+     * @param {Object} callbacks - onProgress(status) and onFinish(status) callbacks
+     */
+    constructor(songManager, callbacks = {}) {
+        this.songManager = songManager;
+        this.callbacks = callbacks;
+
+        // Trainer settings
+        this.settings = {
+            startTempo: 80,
+            targetTempo: 120,
+            step: 5, // BPM added per step
+            passesPerStep: 2, // Successful passes needed before each step
+            dropBack: false // Start over from the start tempo after the target
+        };
+
+        // Trainer state
+        this.isActive = false;
+        this.currentTempo = this.settings.startTempo;
+        this.reachedTempo = this.settings.startTempo;
+        this.passesAtTempo = 0;
+        this.currentPassMissed = false;
+        this.isFinishing = false;
+        this.passHistory = []; // State before each pass counted, to undo passes that were not heard
+        this.previousLoop = null; // Loop settings to restore when the trainer stops
+
+        this.songManager.addObserver((event, data) => this.handleSongEvent(event, data));
+    }
+
+    /**
+     * Start the trainer
+     * @param {Object} settings - Any of startTempo, targetTempo, step, passesPerStep and dropBack
+     */
+    start(settings = {}) {
+        const startTempo = Utils.validateTempo(settings.startTempo ?? this.settings.startTempo);
+
+        this.settings = {
+            startTempo,
+            targetTempo: Math.max(Utils.validateTempo(settings.targetTempo ?? this.settings.targetTempo), startTempo),
+            step: Math.min(Math.max(parseInt(settings.step ?? this.settings.step) || 1, 1), 40),
+            passesPerStep: Math.min(Math.max(parseInt(settings.passesPerStep ?? this.settings.passesPerStep) || 1, 1), 20),
+            dropBack: !!(settings.dropBack ?? this.settings.dropBack)
+        };
+
+        this.isActive = true;
+        this.isFinishing = false;
+        this.currentTempo = startTempo;
+        this.reachedTempo = startTempo;
+        this.passesAtTempo = 0;
+        this.currentPassMissed = false;
+        this.passHistory = [];
+
+        // The trainer needs looped playback and decides itself when to end
+        this.previousLoop = this.previousLoop || { ...this.songManager.loop };
+        const loopMode = this.songManager.loop.mode === 'off' ? 'song' : this.songManager.loop.mode;
+        this.songManager.setLoop({ mode: loopMode, count: 0 });
+        this.songManager.setTrainerTempo(startTempo);
+
+        this.notifyProgress();
+    }
+
+    /**
+     * Stop the trainer and return to the song tempo and loop settings
+     * @returns {Object} Final trainer status
+     */
+    stop() {
+        const status = this.getStatus();
+
+        this.isActive = false;
+        this.isFinishing = false;
+        this.passHistory = [];
+        this.songManager.setTrainerTempo(null);
+
+        if (this.previousLoop) {
+            this.songManager.setLoop(this.previousLoop);
+            this.previousLoop = null;
+        }
+
+        this.notifyProgress();
+        return status;
+    }
+
+    /**
+     * Mark the current pass as missed so it does not count towards the next step
+     */
+    markMiss() {
+        if (!this.isActive) return;
+
+        this.currentPassMissed = true;
+        this.notifyProgress();
+    }
+
+    /**
+     * React to song playback events
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    handleSongEvent(event, data) {
+        if (!this.isActive) return;
+
+        if (event === 'loop-pass-complete') {
+            this.completePass();
+        } else if (event === 'loop-pass-rewound') {
+            this.rewindPasses(data.passes);
+        } else if (event === 'song-completed' && this.isFinishing) {
+            const status = this.stop();
+            if (this.callbacks.onFinish) this.callbacks.onFinish(status);
+        }
+    }
+
+    /**
+     * Count a finished pass and step the tempo when enough passes were successful
+     */
+    completePass() {
+        this.passHistory.push({
+            currentTempo: this.currentTempo,
+            reachedTempo: this.reachedTempo,
+            passesAtTempo: this.passesAtTempo,
+            currentPassMissed: this.currentPassMissed,
+            isFinishing: this.isFinishing
+        });
+        if (this.passHistory.length > 8) {
+            this.passHistory.shift();
+        }
+
+        if (this.currentPassMissed) {
+            this.currentPassMissed = false;
+            this.notifyProgress();
+            return;
+        }
+
+        this.passesAtTempo++;
+
+        if (this.passesAtTempo >= this.settings.passesPerStep) {
+            this.passesAtTempo = 0;
+
+            if (this.currentTempo >= this.settings.targetTempo) {
+                if (this.settings.dropBack) {
+                    this.currentTempo = this.settings.startTempo;
+                } else {
+                    // Target played often enough: end at the end of this pass
+                    this.isFinishing = true;
+                    this.songManager.requestEndAfterSection();
+                }
+            } else {
+                this.currentTempo = Math.min(this.currentTempo + this.settings.step, this.settings.targetTempo);
+            }
+
+            this.reachedTempo = Math.max(this.reachedTempo, this.currentTempo);
+            this.songManager.setTrainerTempo(this.currentTempo);
+        }
+
+        this.notifyProgress();
+    }
+
+    /**
+     * Undo passes that were counted when scheduled but never heard, because
+     * playback was paused or moved before the loop wrapped
+     * @param {number} passes - Passes to undo
+     */
+    rewindPasses(passes) {
+        let state = null;
+        for (let i = 0; i < passes && this.passHistory.length > 0; i++) {
+            state = this.passHistory.pop();
+        }
+        if (!state) return;
+
+        Object.assign(this, state);
+        this.songManager.setTrainerTempo(this.currentTempo);
+        this.notifyProgress();
+    }
+
+    /**
+     * Get trainer progress
+     * @returns {Object} Trainer status
+     */
+    getStatus() {
+        const { startTempo, targetTempo, step, passesPerStep } = this.settings;
+
+        return {
+            isActive: this.isActive,
+            currentTempo: this.currentTempo,
+            reachedTempo: this.reachedTempo,
+            targetTempo,
+            passesAtTempo: this.passesAtTempo,
+            passesPerStep,
+            currentPassMissed: this.currentPassMissed,
+            step: Math.ceil((this.currentTempo - startTempo) / step) + 1,
+            totalSteps: Math.ceil((targetTempo - startTempo) / step) + 1
+        };
+    }
+
+    /**
+     * Report progress to the UI
+     */
+    notifyProgress() {
+        if (this.callbacks.onProgress) {
+            this.callbacks.onProgress(this.getStatus());
+        }
+    }
+}
+
+// Export for use in other modules
+window.TempoTrainer = TempoTrainer;
@@ -7,6 +7,13 @@ class UIManager {
     constructor() {
         this.elements = this.cacheElements();
         this.currentSongId = null;
+        this.isPlaying = false;
+        
+        // Start the composer with one empty section
+        if (this.elements.sections && this.elements.sections.children.length === 0) {
+            this.elements.sections.appendChild(this.createSectionElement());
+        }
+        this.refreshAccentEditors();
         
         this.bindStaticEventHandlers();
         this.setupAccessibility();
@@ -27,13 +34,19 @@ class UIManager {
             subdivisionDisplay: document.getElementById('subdivisionDisplay'),
             currentSection: document.getElementById('currentSection'),
             measureCount: document.getElementById('measureCount'),
+            beatGrid: document.getElementById('beatGrid'),
+            loopStatus: document.getElementById('loopStatus'),
             progressFill: document.getElementById('progressFill'),
             visualBeat: document.getElementById('visualBeat'),
             beatFlash: document.getElementById('beatFlash'),
+            countInDisplay: document.getElementById('countInDisplay'),
             
             // Form elements
             songTitle: document.getElementById('songTitle'),
             tempo: document.getElementById('tempo'),
+            swing: document.getElementById('swing'),
+            pickupBeats: document.getElementById('pickupBeats'),
+            songAccents: document.getElementById('songAccents'),
             sections: document.getElementById('sections'),
             
             // Settings
@@ -44,6 +57,53 @@ class UIManager {
             voiceSelect: document.getElementById('voiceSelect'),
             speechRateSlider: document.getElementById('speechRateSlider'),
             subdivisionSelect: document.getElementById('subdivisionSelect'),
+            countInSelect: document.getElementById('countInSelect'),
+            liveChangeSelect: document.getElementById('liveChangeSelect'),
+            vampExitSelect: document.getElementById('vampExitSelect'),
+            downbeatSoundSelect: document.getElementById('downbeatSoundSelect'),
+            beatSoundSelect: document.getElementById('beatSoundSelect'),
+            subdivisionSoundSelect: document.getElementById('subdivisionSoundSelect'),
+            songDownbeatSound: document.getElementById('songDownbeatSound'),
+            songBeatSound: document.getElementById('songBeatSound'),
+            songSubdivisionSound: document.getElementById('songSubdivisionSound'),
+            customSampleList: document.getElementById('customSampleList'),
+            sampleFileInput: document.getElementById('sampleFileInput'),
+            mixerSongLabel: document.getElementById('mixerSongLabel'),
+            saveSongMixBtn: document.getElementById('saveSongMixBtn'),
+            clearSongMixBtn: document.getElementById('clearSongMixBtn'),
+            nextSectionBtn: document.getElementById('nextSectionBtn'),
+            loopModeSelect: document.getElementById('loopModeSelect'),
+            loopStartSelect: document.getElementById('loopStartSelect'),
+            loopEndSelect: document.getElementById('loopEndSelect'),
+            loopCountInput: document.getElementById('loopCountInput'),
+            seekSectionSelect: document.getElementById('seekSectionSelect'),
+            seekBarInput: document.getElementById('seekBarInput'),
+            seekPreRollInput: document.getElementById('seekPreRollInput'),
+            seekBtn: document.getElementById('seekBtn'),
+            renderBitDepthSelect: document.getElementById('renderBitDepthSelect'),
+            renderSampleRateSelect: document.getElementById('renderSampleRateSelect'),
+            renderCountInCheckbox: document.getElementById('renderCountInCheckbox'),
+            renderBtn: document.getElementById('renderBtn'),
+            countInVoiceToggle: document.getElementById('countInVoiceToggle'),
+            gapModeSelect: document.getElementById('gapModeSelect'),
+            gapPlayBars: document.getElementById('gapPlayBars'),
+            gapMuteBars: document.getElementById('gapMuteBars'),
+            gapMutePercent: document.getElementById('gapMutePercent'),
+            gapHideBeatToggle: document.getElementById('gapHideBeatToggle'),
+
+            // Tempo trainer
+            trainerStartTempo: document.getElementById('trainerStartTempo'),
+            trainerTargetTempo: document.getElementById('trainerTargetTempo'),
+            trainerStep: document.getElementById('trainerStep'),
+            trainerPasses: document.getElementById('trainerPasses'),
+            trainerDropBackToggle: document.getElementById('trainerDropBackToggle'),
+            trainerStartBtn: document.getElementById('trainerStartBtn'),
+            trainerMissBtn: document.getElementById('trainerMissBtn'),
+            trainerStatus: document.getElementById('trainerStatus'),
+
+            // Tap tempo
+            tapTempoBtn: document.getElementById('tapTempoBtn'),
+            tapTempoDisplay: document.getElementById('tapTempoDisplay'),
             
             // Song management
             savedSongs: document.getElementById('savedSongs'),
@@ -71,9 +131,34 @@ class UIManager {
             if (e.target.classList.contains('add-section')) {
                 this.addSection();
             }
-            if (e.target.closest('.section-item button')) {
+            if (e.target.closest('.section-item .section-remove')) {
                 this.removeSection(e.target);
             }
+            if (e.target.classList.contains('accent-cell')) {
+                this.cycleAccentCell(e.target);
+            }
+            if (e.target.classList.contains('accent-reset')) {
+                const editor = e.target.closest('.accent-pattern')?.querySelector('.accent-editor');
+                if (editor) {
+                    editor.dataset.custom = 'false';
+                    this.refreshAccentEditors();
+                }
+            }
+        });
+
+        // Accent editors follow the meter and subdivision they cover
+        document.addEventListener('change', (e) => {
+            if (e.target.matches('.section-time-signature, .section-subdivision, #subdivisionSelect')) {
+                this.refreshAccentEditors();
+            }
+        });
+
+        // Modulated section tempos follow every tempo and form marking before them
+        document.addEventListener('input', (e) => {
+            if (e.target.matches('#tempo, .section-tempo, .section-ramp-end, .section-modulation-from, .section-modulation-to, ' +
+                '.section-repeat, .section-repeat-start, .section-repeat-end, .section-ending, .section-marker, .section-jump')) {
+                this.refreshDerivedTempos();
+            }
         });
 
         // File input for song import
@@ -161,6 +246,11 @@ class UIManager {
             this.elements.tempo.addEventListener('input', debouncedTempoChange);
         }
         
+        if (this.elements.swing && callbacks.onSwingChange) {
+            const debouncedSwingChange = Utils.debounce(callbacks.onSwingChange, 300);
+            this.elements.swing.addEventListener('input', debouncedSwingChange);
+        }
+        
         if (this.elements.metronomeToggle) {
             this.elements.metronomeToggle.addEventListener('click', callbacks.onMetronomeToggle);
         }
@@ -192,6 +282,178 @@ class UIManager {
             this.elements.subdivisionSelect.addEventListener('change', callbacks.onSubdivisionChange);
         }
 
+        if (this.elements.countInSelect && callbacks.onCountInChange) {
+            this.elements.countInSelect.addEventListener('change', callbacks.onCountInChange);
+        }
+
+        if (this.elements.liveChangeSelect && callbacks.onLiveChangeAtChange) {
+            this.elements.liveChangeSelect.addEventListener('change', callbacks.onLiveChangeAtChange);
+        }
+
+        if (this.elements.vampExitSelect && callbacks.onVampExitChange) {
+            this.elements.vampExitSelect.addEventListener('change', callbacks.onVampExitChange);
+        }
+
+        if (callbacks.onSoundChange) {
+            this.getSoundSelects().forEach(select => {
+                select.addEventListener('change', () => callbacks.onSoundChange(select.dataset.voice, select.value));
+            });
+        }
+
+        if (callbacks.onAuditionSound) {
+            document.querySelectorAll('.sound-audition').forEach(button => {
+                button.addEventListener('click', () => {
+                    const voice = button.dataset.voice;
+                    callbacks.onAuditionSound(voice, this.elements[`${voice}SoundSelect`]?.value || 'classic');
+                });
+            });
+        }
+
+        if (callbacks.onMixerChange) {
+            this.getMixerStrips().forEach(strip => {
+                const bus = strip.dataset.bus;
+                const level = strip.querySelector('.mixer-level');
+
+                // Dragging is heard at once; the mix is stored when the slider is let go
+                level.addEventListener('input', () => callbacks.onMixerChange(bus, { level: level.value / 100 }, false));
+                level.addEventListener('change', () => callbacks.onMixerChange(bus, { level: level.value / 100 }, true));
+
+                strip.querySelectorAll('.mixer-mute, .mixer-solo').forEach(button => {
+                    const setting = button.classList.contains('mixer-mute') ? 'mute' : 'solo';
+                    button.addEventListener('click', () => {
+                        callbacks.onMixerChange(bus, { [setting]: !button.classList.contains('active') }, true);
+                    });
+                });
+            });
+        }
+
+        if (callbacks.onRoutingChange) {
+            document.querySelectorAll('.routing-pan').forEach(slider => {
+                // Dragging is heard at once; the routing is stored when the slider is let go
+                slider.addEventListener('input', () => callbacks.onRoutingChange(slider.dataset.route, slider.value / 100, false));
+                slider.addEventListener('change', () => callbacks.onRoutingChange(slider.dataset.route, slider.value / 100, true));
+            });
+            document.querySelectorAll('.routing-voice').forEach(select => {
+                select.addEventListener('change', () => callbacks.onRoutingChange(select.dataset.route, select.value, true));
+            });
+        }
+
+        if (this.elements.saveSongMixBtn && callbacks.onSaveSongMix) {
+            this.elements.saveSongMixBtn.addEventListener('click', callbacks.onSaveSongMix);
+        }
+
+        if (this.elements.clearSongMixBtn && callbacks.onClearSongMix) {
+            this.elements.clearSongMixBtn.addEventListener('click', callbacks.onClearSongMix);
+        }
+
+        if (this.elements.sampleFileInput && callbacks.onImportSamples) {
+            this.elements.sampleFileInput.addEventListener('change', (e) => {
+                if (e.target.files && e.target.files.length > 0) {
+                    callbacks.onImportSamples(Array.from(e.target.files));
+                    e.target.value = '';
+                }
+            });
+        }
+
+        if (callbacks.onNextSection) {
+            if (this.elements.nextSectionBtn) {
+                this.elements.nextSectionBtn.addEventListener('click', callbacks.onNextSection);
+            }
+
+            // N, or PageDown as sent by most page-turner foot pedals
+            document.addEventListener('keydown', (e) => {
+                if ((e.code === 'KeyN' || e.code === 'PageDown') && !e.repeat &&
+                    !e.ctrlKey && !e.metaKey && !e.altKey &&
+                    !e.target.matches('input, textarea, select')) {
+                    e.preventDefault();
+                    callbacks.onNextSection();
+                }
+            });
+        }
+
+        if (this.elements.countInVoiceToggle && callbacks.onCountInVoiceToggle) {
+            this.elements.countInVoiceToggle.addEventListener('click', callbacks.onCountInVoiceToggle);
+        }
+
+        if (callbacks.onLoopChange) {
+            ['loopModeSelect', 'loopStartSelect', 'loopEndSelect', 'loopCountInput'].forEach(id => {
+                if (this.elements[id]) {
+                    this.elements[id].addEventListener('change', callbacks.onLoopChange);
+                }
+            });
+        }
+
+        if (this.elements.seekBtn && callbacks.onSeek) {
+            this.elements.seekBtn.addEventListener('click', callbacks.onSeek);
+        }
+
+        if (this.elements.renderBtn && callbacks.onRenderClickTrack) {
+            this.elements.renderBtn.addEventListener('click', callbacks.onRenderClickTrack);
+        }
+
+        if (callbacks.onSkipSection) {
+            // Only while playing, and never when a control has focus: the arrows
+            // scroll the page and move through selects, sliders and radio groups
+            document.addEventListener('keydown', (e) => {
+                if ((e.code === 'ArrowLeft' || e.code === 'ArrowRight') && this.isPlaying &&
+                    !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey &&
+                    !e.target.closest('input, textarea, select, button, a, details, [contenteditable], [role="slider"], [role="tab"]')) {
+                    e.preventDefault();
+                    callbacks.onSkipSection(e.code === 'ArrowLeft' ? -1 : 1);
+                }
+            });
+        }
+
+        if (callbacks.onGapChange) {
+            ['gapModeSelect', 'gapPlayBars', 'gapMuteBars', 'gapMutePercent'].forEach(id => {
+                if (this.elements[id]) {
+                    this.elements[id].addEventListener('change', callbacks.onGapChange);
+                }
+            });
+        }
+
+        if (this.elements.gapHideBeatToggle && callbacks.onGapChange) {
+            this.elements.gapHideBeatToggle.addEventListener('click', () => {
+                const toggle = this.elements.gapHideBeatToggle;
+                this.setToggleState(toggle, !toggle.classList.contains('active'));
+                callbacks.onGapChange();
+            });
+        }
+
+        if (this.elements.trainerStartBtn && callbacks.onTrainerToggle) {
+            this.elements.trainerStartBtn.addEventListener('click', callbacks.onTrainerToggle);
+        }
+
+        if (this.elements.trainerMissBtn && callbacks.onTrainerMiss) {
+            this.elements.trainerMissBtn.addEventListener('click', callbacks.onTrainerMiss);
+        }
+
+        if (callbacks.onTap) {
+            // pointerdown fires on touch without the click delay, so taps keep their timing
+            [this.elements.tapTempoBtn, this.elements.visualBeat].forEach(target => {
+                if (!target) return;
+                target.addEventListener('pointerdown', (e) => {
+                    e.preventDefault();
+                    callbacks.onTap(e.timeStamp);
+                });
+            });
+
+            document.addEventListener('keydown', (e) => {
+                if (e.code === 'KeyT' && !e.repeat && !e.ctrlKey && !e.metaKey && !e.altKey &&
+                    !e.target.matches('input, textarea, select')) {
+                    e.preventDefault();
+                    callbacks.onTap(e.timeStamp);
+                }
+            });
+        }
+
+        if (this.elements.trainerDropBackToggle) {
+            this.elements.trainerDropBackToggle.addEventListener('click', () => {
+                const toggle = this.elements.trainerDropBackToggle;
+                this.setToggleState(toggle, !toggle.classList.contains('active'));
+            });
+        }
+
         // Song management buttons
         const newSongBtn = document.querySelector('.btn-new-song');
         const exportBtn = document.querySelector('.btn-export');
@@ -241,6 +503,426 @@ class UIManager {
         }
     }
 
+    /**
+     * Set the visual state of a toggle button
+     * @param {HTMLElement} toggle - Toggle button element
+     * @param {boolean} isActive - Whether the toggle is on
+     */
+    setToggleState(toggle, isActive) {
+        const switchEl = toggle?.querySelector('.toggle-switch');
+        if (!toggle || !switchEl) return;
+
+        toggle.classList.toggle('active', isActive);
+        switchEl.classList.toggle('active', isActive);
+    }
+
+    /**
+     * Show the saved count-in settings
+     * @param {number} beats - Number of count-in beats
+     * @param {boolean} voiceEnabled - Whether the count-in is spoken
+     */
+    setCountInControls(beats, voiceEnabled) {
+        if (this.elements.countInSelect) {
+            this.elements.countInSelect.value = String(beats);
+        }
+        this.setToggleState(this.elements.countInVoiceToggle, voiceEnabled);
+    }
+
+    /**
+     * Show when live tempo and subdivision changes take effect
+     * @param {string} applyAt - 'beat' or 'downbeat'
+     */
+    setLiveChangeControl(applyAt) {
+        if (this.elements.liveChangeSelect) {
+            this.elements.liveChangeSelect.value = applyAt;
+        }
+    }
+
+    /**
+     * Show where a cued vamp ends
+     * @param {string} exit - 'downbeat' or 'phrase'
+     */
+    setVampExitControl(exit) {
+        if (this.elements.vampExitSelect) {
+            this.elements.vampExitSelect.value = exit;
+        }
+    }
+
+    /**
+     * Get the sound pickers of the audio settings, or of the song composer
+     * @param {boolean} song - True for the song composer pickers
+     * @returns {Array<HTMLSelectElement>} Downbeat, beat and subdivision pickers that exist
+     */
+    getSoundSelects(song = false) {
+        const ids = song
+            ? ['songDownbeatSound', 'songBeatSound', 'songSubdivisionSound']
+            : ['downbeatSoundSelect', 'beatSoundSelect', 'subdivisionSoundSelect'];
+        return ids.map(id => this.elements[id]).filter(Boolean);
+    }
+
+    /**
+     * Fill the sound pickers with the sound bank and show the chosen sounds
+     * @param {Array<Object>} sounds - Sound bank names with display labels
+     * @param {Object} selected - Sound names by voice from the app settings
+     */
+    setSoundOptions(sounds, selected) {
+        [false, true].forEach(song => {
+            this.getSoundSelects(song).forEach(select => {
+                const value = song ? select.value : selected[select.dataset.voice];
+
+                // Keep the fixed first options ("Classic beep", and "App setting" for songs)
+                const fixedOptions = song ? 2 : 1;
+                while (select.options.length > fixedOptions) {
+                    select.remove(fixedOptions);
+                }
+                sounds.forEach(sound => {
+                    const option = document.createElement('option');
+                    option.value = sound.name;
+                    option.textContent = sound.label;
+                    select.appendChild(option);
+                });
+
+                select.value = value;
+                if (select.selectedIndex === -1) select.selectedIndex = 0;
+            });
+        });
+    }
+
+    /**
+     * Get the mixer channel strips
+     * @returns {Array<HTMLElement>} One strip per bus, named by data-bus
+     */
+    getMixerStrips() {
+        return Array.from(document.querySelectorAll('.mixer-strip'));
+    }
+
+    /**
+     * Show the mixer settings and whether they belong to the current song
+     * @param {Object} settings - Mixer settings, see Utils.validateMixer()
+     * @param {string|null} songTitle - Title of the current song, if any
+     * @param {boolean} songMix - True if the settings are the song's own mix
+     */
+    setMixerControls(settings, songTitle = null, songMix = false) {
+        this.getMixerStrips().forEach(strip => {
+            const busSettings = settings[strip.dataset.bus];
+            if (!busSettings) return;
+
+            strip.querySelector('.mixer-level').value = Math.round(busSettings.level * 100);
+            strip.querySelectorAll('.mixer-mute, .mixer-solo').forEach(button => {
+                const active = button.classList.contains('mixer-mute') ? busSettings.mute : busSettings.solo;
+                button.classList.toggle('active', active);
+                button.setAttribute('aria-pressed', String(active));
+            });
+        });
+
+        if (this.elements.mixerSongLabel) {
+            this.elements.mixerSongLabel.textContent = songMix ? ` (${songTitle})` : '';
+        }
+        if (this.elements.saveSongMixBtn) {
+            this.elements.saveSongMixBtn.disabled = !songTitle;
+        }
+        if (this.elements.clearSongMixBtn) {
+            this.elements.clearSongMixBtn.disabled = !songMix;
+        }
+    }
+
+    /**
+     * Show the output routing
+     * @param {Object} routing - Stereo position by route, see Utils.validateRouting()
+     */
+    setRoutingControls(routing) {
+        document.querySelectorAll('.routing-voice').forEach(select => {
+            select.value = routing.voice;
+        });
+
+        document.querySelectorAll('.routing-pan').forEach(slider => {
+            const pan = routing[slider.dataset.route] ?? 0;
+            slider.value = Math.round(pan * 100);
+
+            const display = slider.parentElement.querySelector('.routing-display');
+            if (display) {
+                const percent = Math.round(Math.abs(pan) * 100);
+                if (pan === 0) {
+                    display.textContent = 'Both';
+                } else if (percent === 100) {
+                    display.textContent = pan < 0 ? 'Left only' : 'Right only';
+                } else {
+                    display.textContent = `${pan < 0 ? 'L' : 'R'} ${percent}`;
+                }
+            }
+        });
+    }
+
+    /**
+     * Move the mixer level meters
+     * @param {Object} levels - Peak level from 0 to 1 by bus name
+     */
+    updateMixerMeters(levels) {
+        this.getMixerStrips().forEach(strip => {
+            const fill = strip.querySelector('.mixer-meter-fill');
+            if (!fill) return;
+
+            // Show the last 48 dB, so quiet ghost notes still move the meter
+            const peak = levels[strip.dataset.bus] || 0;
+            const db = peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+            const width = `${Math.round(Math.min(Math.max((db + 48) / 48, 0), 1) * 100)}%`;
+
+            // Only touch the style when the width changes, as this runs every frame
+            if (fill.style.width !== width) {
+                fill.style.width = width;
+            }
+        });
+    }
+
+    /**
+     * Show the imported samples with rename, preview and delete controls
+     * @param {Array<Object>} samples - Samples with id and name
+     * @param {Object} callbacks - onRenameSample(id, name), onPreviewSample(id) and onDeleteSample(id)
+     */
+    displayCustomSamples(samples, callbacks) {
+        const list = this.elements.customSampleList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (samples.length === 0) {
+            list.textContent = 'No samples yet - import a short WAV, MP3, OGG or FLAC file';
+            return;
+        }
+
+        samples.forEach(sample => {
+            const row = document.createElement('div');
+            row.className = 'custom-sample';
+            row.innerHTML = `
+                <input type="text" class="sample-name" maxlength="40" aria-label="Sample name">
+                <button type="button" class="btn btn-small btn-secondary sample-preview">🔈</button>
+                <button type="button" class="btn btn-small btn-delete sample-delete">✕</button>
+            `;
+
+            // Names come from file names, so set them as values rather than markup
+            const nameInput = row.querySelector('.sample-name');
+            nameInput.value = sample.name;
+            row.querySelector('.sample-preview').setAttribute('aria-label', `Hear ${sample.name}`);
+            row.querySelector('.sample-delete').setAttribute('aria-label', `Delete ${sample.name}`);
+
+            nameInput.addEventListener('change', () => callbacks.onRenameSample(sample.id, nameInput.value));
+            row.querySelector('.sample-preview').addEventListener('click', () => callbacks.onPreviewSample(sample.id));
+            row.querySelector('.sample-delete').addEventListener('click', () => callbacks.onDeleteSample(sample.id));
+
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Read the sounds chosen for the song in the composer
+     * @returns {Object|null} Sound names by voice, or null to use the app settings
+     */
+    getSongSounds() {
+        const sounds = {};
+        this.getSoundSelects(true).forEach(select => {
+            sounds[select.dataset.voice] = select.value;
+        });
+        return Utils.validateSounds(sounds);
+    }
+
+    /**
+     * Show the sounds of a song in the composer
+     * @param {Object|null} sounds - Sound names by voice, or null to use the app settings
+     */
+    setSongSounds(sounds) {
+        this.getSoundSelects(true).forEach(select => {
+            select.value = sounds?.[select.dataset.voice] || '';
+            if (select.selectedIndex === -1) select.selectedIndex = 0;
+        });
+    }
+
+    /**
+     * Get loop settings from the loop controls
+     * @returns {Object} Loop mode, first and last section, and loop count
+     */
+    getLoopSettings() {
+        return {
+            mode: this.elements.loopModeSelect?.value || 'off',
+            start: parseInt(this.elements.loopStartSelect?.value) || 0,
+            end: parseInt(this.elements.loopEndSelect?.value) || 0,
+            count: parseInt(this.elements.loopCountInput?.value) || 0
+        };
+    }
+
+    /**
+     * Get the target of the seek controls
+     * @returns {Object} Section index, measure (from 0) and pre-roll bars
+     */
+    getSeekSettings() {
+        return {
+            section: parseInt(this.elements.seekSectionSelect?.value) || 0,
+            measure: Math.max((parseInt(this.elements.seekBarInput?.value) || 1) - 1, 0),
+            preRoll: Math.min(Math.max(parseInt(this.elements.seekPreRollInput?.value) || 0, 0), 8)
+        };
+    }
+
+    /**
+     * Read the click track render settings
+     * @returns {Object} countIn, bitDepth (16 or 24) and sampleRate
+     */
+    getRenderSettings() {
+        return {
+            countIn: this.elements.renderCountInCheckbox?.checked ?? true,
+            bitDepth: this.elements.renderBitDepthSelect?.value === '24' ? 24 : 16,
+            sampleRate: this.elements.renderSampleRateSelect?.value === '44100' ? 44100 : 48000
+        };
+    }
+
+    /**
+     * Show whether a click track is being rendered
+     * @param {boolean} rendering - True while rendering
+     */
+    setRenderBusy(rendering) {
+        if (!this.elements.renderBtn) return;
+
+        this.elements.renderBtn.disabled = rendering;
+        this.elements.renderBtn.textContent = rendering ? 'Rendering…' : 'Render';
+    }
+
+    /**
+     * Fill the loop and seek section pickers and show the current loop settings
+     * @param {Array} sections - Song sections
+     * @param {Object} loop - Current loop settings
+     */
+    updateLoopSections(sections, loop) {
+        const seekSection = this.elements.seekSectionSelect?.value;
+
+        [this.elements.loopStartSelect, this.elements.loopEndSelect, this.elements.seekSectionSelect].forEach(select => {
+            if (!select) return;
+
+            select.innerHTML = '';
+            sections.forEach((section, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `${index + 1}. ${section.name}`;
+                select.appendChild(option);
+            });
+        });
+
+        if (this.elements.loopModeSelect) this.elements.loopModeSelect.value = loop.mode;
+        if (this.elements.loopStartSelect) this.elements.loopStartSelect.value = loop.start;
+        if (this.elements.loopEndSelect) this.elements.loopEndSelect.value = loop.end;
+        if (this.elements.loopCountInput) this.elements.loopCountInput.value = loop.count;
+        if (this.elements.seekSectionSelect && seekSection < sections.length) {
+            this.elements.seekSectionSelect.value = seekSection;
+        }
+
+        // Only show the section pickers the mode needs
+        this.elements.loopStartSelect?.classList.toggle('hidden', !['section', 'range'].includes(loop.mode));
+        this.elements.loopEndSelect?.classList.toggle('hidden', loop.mode !== 'range');
+    }
+
+    /**
+     * Get gap training settings from the gap training controls
+     * @returns {Object} Mode, bars with and without click, silent percentage and dark beat light
+     */
+    getGapSettings() {
+        return {
+            mode: this.elements.gapModeSelect?.value || 'off',
+            playBars: this.elements.gapPlayBars?.value,
+            muteBars: this.elements.gapMuteBars?.value,
+            mutePercent: this.elements.gapMutePercent?.value,
+            hideBeat: !!this.elements.gapHideBeatToggle?.classList.contains('active')
+        };
+    }
+
+    /**
+     * Show gap training settings
+     * @param {Object} gap - Gap training settings
+     */
+    setGapControls(gap) {
+        if (this.elements.gapModeSelect) this.elements.gapModeSelect.value = gap.mode;
+        if (this.elements.gapPlayBars) this.elements.gapPlayBars.value = gap.playBars;
+        if (this.elements.gapMuteBars) this.elements.gapMuteBars.value = gap.muteBars;
+        if (this.elements.gapMutePercent) this.elements.gapMutePercent.value = gap.mutePercent;
+        this.setToggleState(this.elements.gapHideBeatToggle, gap.hideBeat);
+
+        // Only show the options the mode needs
+        document.querySelectorAll('.gap-bars-option').forEach(el => el.classList.toggle('hidden', gap.mode !== 'gap'));
+        document.querySelectorAll('.gap-random-option').forEach(el => el.classList.toggle('hidden', gap.mode !== 'random'));
+        this.elements.gapHideBeatToggle?.classList.toggle('hidden', gap.mode === 'off');
+    }
+
+    /**
+     * Get tempo trainer settings from the trainer panel
+     * @returns {Object} Start and target tempo, step, passes per step and drop back
+     */
+    getTrainerSettings() {
+        return {
+            startTempo: this.elements.trainerStartTempo?.value,
+            targetTempo: this.elements.trainerTargetTempo?.value,
+            step: this.elements.trainerStep?.value,
+            passesPerStep: this.elements.trainerPasses?.value,
+            dropBack: !!this.elements.trainerDropBackToggle?.classList.contains('active')
+        };
+    }
+
+    /**
+     * Show tempo trainer progress
+     * @param {Object} status - Trainer status from TempoTrainer.getStatus()
+     */
+    updateTrainerStatus(status) {
+        if (this.elements.trainerStartBtn) {
+            this.elements.trainerStartBtn.textContent = status.isActive ? '⏹ Stop trainer' : '▶ Start trainer';
+        }
+
+        if (this.elements.trainerMissBtn) {
+            this.elements.trainerMissBtn.disabled = !status.isActive || status.currentPassMissed;
+        }
+
+        // Settings can't change while the trainer runs
+        ['trainerStartTempo', 'trainerTargetTempo', 'trainerStep', 'trainerPasses'].forEach(id => {
+            if (this.elements[id]) this.elements[id].disabled = status.isActive;
+        });
+
+        if (this.elements.trainerStatus) {
+            this.elements.trainerStatus.classList.toggle('active', status.isActive);
+            this.elements.trainerStatus.textContent = status.isActive
+                ? `${status.currentTempo} BPM · Step ${status.step}/${status.totalSteps} · ` +
+                  `Pass ${status.passesAtTempo + 1}/${status.passesPerStep}` +
+                  (status.currentPassMissed ? ' (missed)' : '') +
+                  ` · Target ${status.targetTempo} BPM`
+                : `Trainer off · Best ${status.reachedTempo} BPM`;
+        }
+    }
+
+    /**
+     * Show the tempo detected by tap tempo
+     * @param {Object} result - Result from TapTempo.tap()
+     */
+    updateTapTempo(result) {
+        if (!this.elements.tapTempoDisplay) return;
+
+        this.elements.tapTempoDisplay.textContent = result.bpm
+            ? `${result.bpm} BPM · ${result.confidence}% sure`
+            : 'Keep tapping…';
+    }
+
+    /**
+     * Check whether the song composer is open
+     * @returns {boolean} True if the composer view is shown
+     */
+    isComposerOpen() {
+        const songForm = document.getElementById('songForm');
+        return !!songForm && !songForm.classList.contains('hidden');
+    }
+
+    /**
+     * Put a tempo into the composer's tempo field
+     * @param {number} tempo - Tempo in BPM
+     */
+    setComposerTempo(tempo) {
+        if (this.elements.tempo) {
+            this.elements.tempo.value = tempo;
+            // Setting the value fires no input event, so update the modulated tempos here
+            this.refreshDerivedTempos();
+        }
+    }
+
     /**
      * Update the display with current state
      * @param {Object} state - Current application state
@@ -257,24 +939,60 @@ class UIManager {
 
         // Update subdivision display
         if (this.elements.subdivisionDisplay) {
-            this.elements.subdivisionDisplay.textContent = this.getSubdivisionDisplayText(state.subdivision || 'quarter');
+            const subdivision = state.subdivision || 'quarter';
+            const swingText = state.swing > 50 && ['eighth', 'sixteenth'].includes(subdivision)
+                ? ` · Swing ${state.swing}%`
+                : '';
+            this.elements.subdivisionDisplay.textContent = this.getSubdivisionDisplayText(subdivision) + swingText;
+        }
+
+        // Cueing out only works inside a vamp
+        if (this.elements.nextSectionBtn) {
+            this.elements.nextSectionBtn.disabled = !state.vamp || state.vamp.cued;
+        }
+
+        // Update loop pass display
+        if (this.elements.loopStatus) {
+            this.elements.loopStatus.classList.toggle('hidden', !state.loop);
+            if (state.loop) {
+                const total = state.loop.count > 0 ? `/${state.loop.count}` : '';
+                this.elements.loopStatus.textContent = `🔁 Pass ${state.loopPass}${total}`;
+            }
         }
 
         if (state.sections.length > 0 && state.currentSection < state.sections.length) {
             const section = state.sections[state.currentSection];
             
             if (this.elements.currentSection) {
-                this.elements.currentSection.textContent = section.name;
+                const vampText = state.vamp ? (state.vamp.cued ? ' · vamp, moving on' : ' · vamp until cued') : '';
+                const passText = state.sectionPass?.passes > 1
+                    ? ` (${state.sectionPass.pass}/${state.sectionPass.passes})`
+                    : '';
+                this.elements.currentSection.textContent = section.name + passText + vampText;
             }
             
+            const timeSignature = Utils.parseTimeSignature(section.timeSignature);
+            
+            // The pickup comes before measure 1 and a short last bar counts as a measure
             if (this.elements.measureCount) {
+                const measureText = state.currentMeasure < 0
+                    ? 'Pickup'
+                    : `Measure: ${state.currentMeasure + 1} / ${state.measureTotal}`;
                 this.elements.measureCount.textContent = 
-                    `Measure: ${state.currentMeasure + 1} / ${section.measures}`;
+                    `${measureText} (${state.measureBeats}/${timeSignature.noteValue})` +
+                    (state.isMuted ? ' 🔇' : '');
             }
             
+            this.updateBeatGrid(
+                state.grouping,
+                state.hideBeat ? -1 : state.currentBeat,
+                state.polyrhythm?.pulses || 0,
+                state.hideBeat ? -1 : state.currentPulse
+            );
+            
             if (this.elements.progressFill) {
-                const progress = ((state.currentMeasure + (state.currentBeat / 4)) / section.measures) * 100;
-                this.elements.progressFill.style.width = `${Math.min(progress, 100)}%`;
+                const progress = ((state.currentMeasure + (state.currentBeat / state.measureBeats)) / state.measureTotal) * 100;
+                this.elements.progressFill.style.width = `${Math.min(Math.max(progress, 0), 100)}%`;
             }
         } else {
             if (this.elements.currentSection) {
@@ -288,7 +1006,81 @@ class UIManager {
             if (this.elements.progressFill) {
                 this.elements.progressFill.style.width = '0%';
             }
+            
+            this.updateBeatGrid([], 0);
+        }
+    }
+
+    /**
+     * Show the beats of the current measure in their groups, or both pulses of a polyrhythm
+     * @param {Array<number>} grouping - Beat group sizes
+     * @param {number} currentBeat - Beat to highlight
+     * @param {number} pulses - Secondary pulses per measure, 0 without polyrhythm
+     * @param {number} currentPulse - Secondary pulse to highlight
+     */
+    updateBeatGrid(grouping, currentBeat, pulses = 0, currentPulse = -1) {
+        const grid = this.elements.beatGrid;
+        if (!grid) return;
+
+        // Only rebuild the cells when the grouping changes
+        const key = `${grouping.join('+')}:${pulses}`;
+        if (grid.dataset.grouping !== key) {
+            grid.dataset.grouping = key;
+            grid.innerHTML = '';
+            grid.classList.toggle('polyrhythm', pulses > 0);
+
+            if (pulses > 0) {
+                // Both pulses share one timeline so cells line up as they are heard
+                const beats = grouping.reduce((sum, size) => sum + size, 0);
+                grid.appendChild(this.createPulseRow(beats, 'beat-cell'));
+                grid.appendChild(this.createPulseRow(pulses, 'pulse-cell'));
+            } else {
+                let beat = 0;
+                grouping.forEach(size => {
+                    const group = document.createElement('div');
+                    group.className = 'beat-group';
+
+                    for (let i = 0; i < size; i++, beat++) {
+                        const cell = document.createElement('span');
+                        cell.className = 'beat-cell';
+                        if (beat === 0) cell.classList.add('primary');
+                        else if (i === 0) cell.classList.add('secondary');
+                        group.appendChild(cell);
+                    }
+
+                    grid.appendChild(group);
+                });
+            }
+        }
+
+        grid.querySelectorAll('.beat-cell').forEach((cell, index) => {
+            cell.classList.toggle('current', index === currentBeat);
+        });
+
+        grid.querySelectorAll('.pulse-cell').forEach((cell, index) => {
+            cell.classList.toggle('current', index === currentPulse);
+        });
+    }
+
+    /**
+     * Create one row of evenly spaced pulse cells across the measure
+     * @param {number} count - Cells in the row
+     * @param {string} className - 'beat-cell' or 'pulse-cell'
+     * @returns {HTMLElement} Row element
+     */
+    createPulseRow(count, className) {
+        const row = document.createElement('div');
+        row.className = 'pulse-row';
+
+        for (let i = 0; i < count; i++) {
+            const cell = document.createElement('span');
+            cell.className = className;
+            if (i === 0) cell.classList.add('primary');
+            cell.style.left = `${(i / count) * 100}%`;
+            row.appendChild(cell);
         }
+
+        return row;
     }
 
     /**
@@ -310,11 +1102,32 @@ class UIManager {
         }
     }
 
+    /**
+     * Show the count-in countdown
+     * @param {number} remaining - Count-in beats left, including this one
+     */
+    showCountIn(remaining) {
+        if (!this.elements.countInDisplay) return;
+
+        this.elements.countInDisplay.textContent = remaining;
+        this.elements.countInDisplay.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the count-in countdown
+     */
+    hideCountIn() {
+        if (this.elements.countInDisplay) {
+            this.elements.countInDisplay.classList.add('hidden');
+        }
+    }
+
     /**
      * Update play button state
      * @param {boolean} isPlaying - Whether metronome is playing
      */
     updatePlayButton(isPlaying) {
+        this.isPlaying = isPlaying;
         if (this.elements.playBtn) {
             this.elements.playBtn.innerHTML = isPlaying ? '⏸ Pause' : '▶ Play';
             this.elements.playBtn.setAttribute('aria-label', 
@@ -369,23 +1182,291 @@ class UIManager {
     addSection() {
         if (!this.elements.sections) return;
         
-        const newSection = document.createElement('div');
-        newSection.className = 'section-item';
-        newSection.innerHTML = `
-            <input type="text" placeholder="Name (e.g. Bridge)" maxlength="50" aria-label="Section name">
-            <input type="number" placeholder="Measures" min="1" max="32" value="4" aria-label="Number of measures">
-            <button type="button" aria-label="Remove section">✕</button>
-        `;
-        
+        const newSection = this.createSectionElement();
         this.elements.sections.appendChild(newSection);
+        this.refreshAccentEditors();
         
         // Focus on the new section name input
-        const nameInput = newSection.querySelector('input[type="text"]');
+        const nameInput = newSection.querySelector('.section-name');
         if (nameInput) {
             nameInput.focus();
         }
     }
 
+    /**
+     * Create a section row for the composer form
+     * @param {Object} section - Section data to fill in
+     * @returns {HTMLElement} Section element
+     */
+    createSectionElement(section = {}) {
+        const noteOptions = Object.keys(Utils.getNoteLengths())
+            .map(note => `<option value="${note}">${note.charAt(0).toUpperCase()}${note.slice(1).replace('-', ' ')}</option>`)
+            .join('');
+
+        const sectionElement = document.createElement('div');
+        sectionElement.className = 'section-item';
+        sectionElement.innerHTML = `
+            <input type="text" class="section-name" placeholder="Name (e.g. Verse)" maxlength="50" aria-label="Section name">
+            <input type="number" class="section-measures" placeholder="Measures" min="1" max="32" aria-label="Number of measures">
+            <input type="text" class="section-time-signature" list="timeSignatureOptions" placeholder="4/4" maxlength="5" aria-label="Time signature">
+            <button type="button" class="section-remove" aria-label="Remove section">✕</button>
+            <details class="section-options">
+                <summary>Options</summary>
+                <div class="section-options-grid">
+                    <label>Polyrhythm (pulses:beats)
+                        <input type="text" class="section-polyrhythm" list="polyrhythmOptions" placeholder="e.g. 3:2" maxlength="5" aria-label="Polyrhythm">
+                    </label>
+                    <label>Beat grouping
+                        <input type="text" class="section-grouping" placeholder="e.g. 2+2+3" maxlength="40" aria-label="Beat grouping">
+                    </label>
+                    <label>Tempo (BPM)
+                        <input type="number" class="section-tempo" min="60" max="200" placeholder="Song tempo" aria-label="Section tempo">
+                    </label>
+                    <label>Modulation: old note
+                        <select class="section-modulation-from" aria-label="Note value before the metric modulation">
+                            <option value="">No modulation</option>
+                            ${noteOptions}
+                        </select>
+                    </label>
+                    <label>= new note <span class="section-derived-tempo"></span>
+                        <select class="section-modulation-to" aria-label="Note value after the metric modulation">
+                            ${noteOptions}
+                        </select>
+                    </label>
+                    <label>Subdivision
+                        <select class="section-subdivision" aria-label="Section subdivision">
+                            <option value="">Song subdivision</option>
+                            <option value="quarter">♩ Quarter notes</option>
+                            <option value="eighth">♫ Eighth notes</option>
+                            <option value="triplet">♪♪♪ Triplets</option>
+                            <option value="sixteenth">♬ Sixteenth notes</option>
+                        </select>
+                    </label>
+                    <label>Swing (%)
+                        <input type="number" class="section-swing" min="50" max="75" placeholder="Song swing" aria-label="Section swing">
+                    </label>
+                    <label>Short last bar (beats)
+                        <input type="number" class="section-extra-beats" min="1" max="15" placeholder="Full bar" aria-label="Beats of a short last bar">
+                    </label>
+                    <label>Ramp from (BPM)
+                        <input type="number" class="section-ramp-start" min="60" max="200" placeholder="Section tempo" aria-label="Ramp start tempo">
+                    </label>
+                    <label>Ramp to (BPM)
+                        <input type="number" class="section-ramp-end" min="60" max="200" placeholder="No ramp" aria-label="Ramp end tempo">
+                    </label>
+                    <label>Ramp from bar
+                        <input type="number" class="section-ramp-start-bar" min="1" max="32" placeholder="1" aria-label="First bar of the ramp">
+                    </label>
+                    <label>Ramp to bar
+                        <input type="number" class="section-ramp-end-bar" min="1" max="32" placeholder="Last" aria-label="Last bar of the ramp">
+                    </label>
+                    <label class="section-check-option">
+                        <input type="checkbox" class="section-vamp" aria-label="Vamp: repeat until cued">
+                        Vamp (repeat until cued)
+                    </label>
+                    <label>Play (times)
+                        <input type="number" class="section-repeat" min="1" max="16" placeholder="1" aria-label="Times the section is played">
+                    </label>
+                    <label class="section-check-option">
+                        <input type="checkbox" class="section-repeat-start" aria-label="Repeat group starts here">
+                        𝄆 Repeat group starts here
+                    </label>
+                    <label>𝄇 Repeat group (times)
+                        <input type="number" class="section-repeat-end" min="1" max="16" placeholder="No repeat" aria-label="Times the repeat group ending here is played">
+                    </label>
+                    <label>Ending (passes)
+                        <input type="text" class="section-ending" placeholder="e.g. 1 or 1,2" maxlength="20" aria-label="Passes of the repeat group that play this ending">
+                    </label>
+                    <label>Marker
+                        <select class="section-marker" aria-label="Form marker">
+                            <option value="">None</option>
+                            <option value="segno">𝄋 Segno</option>
+                            <option value="coda">𝄌 Coda</option>
+                        </select>
+                    </label>
+                    <label>After this section
+                        <select class="section-jump" aria-label="Jump after this section">
+                            <option value="">Go on</option>
+                            <option value="dc">D.C. (back to the start)</option>
+                            <option value="ds">D.S. (back to the segno)</option>
+                            <option value="fine">Fine (after D.C./D.S.)</option>
+                            <option value="to-coda">To Coda (after D.C./D.S.)</option>
+                        </select>
+                    </label>
+                    <label>Ramp curve
+                        <select class="section-ramp-curve" aria-label="Ramp curve">
+                            <option value="linear">Linear</option>
+                            <option value="exponential">Exponential</option>
+                            <option value="ease-in">Ease in</option>
+                            <option value="ease-out">Ease out</option>
+                        </select>
+                    </label>
+                </div>
+                <div class="accent-pattern">
+                    <span>Accents</span>
+                    <div class="accent-editor section-accents" role="group" aria-label="Section accent pattern"></div>
+                    <button type="button" class="accent-reset" aria-label="Use the song accent pattern">↺</button>
+                </div>
+            </details>
+        `;
+
+        sectionElement.querySelector('.section-name').value = section.name || '';
+        sectionElement.querySelector('.section-measures').value = section.measures || 4;
+        sectionElement.querySelector('.section-time-signature').value = section.timeSignature || '4/4';
+        sectionElement.querySelector('.section-polyrhythm').value = section.polyrhythm || '';
+        sectionElement.querySelector('.section-grouping').value = section.grouping || '';
+        sectionElement.querySelector('.section-tempo').value = section.tempo || '';
+        sectionElement.querySelector('.section-swing').value = section.swing || '';
+        sectionElement.querySelector('.section-subdivision').value = Utils.validateSubdivision(section.subdivision) || '';
+        sectionElement.querySelector('.section-modulation-from').value = section.modulation?.from || '';
+        sectionElement.querySelector('.section-modulation-to').value = section.modulation?.to || 'quarter';
+        sectionElement.querySelector('.section-vamp').checked = !!section.vamp;
+        sectionElement.querySelector('.section-extra-beats').value = section.extraBeats || '';
+        sectionElement.querySelector('.section-repeat').value = section.repeat || '';
+        sectionElement.querySelector('.section-repeat-start').checked = !!section.repeatStart;
+        sectionElement.querySelector('.section-repeat-end').value = section.repeatEnd || '';
+        sectionElement.querySelector('.section-ending').value = section.ending ? section.ending.join(',') : '';
+        sectionElement.querySelector('.section-marker').value = section.marker || '';
+        sectionElement.querySelector('.section-jump').value = section.jump || '';
+
+        const clicksPerBeat = this.getClicksPerBeat(section.subdivision || this.elements.subdivisionSelect?.value);
+        const beats = Utils.parseTimeSignature(section.timeSignature).beats;
+        this.renderAccentEditor(
+            sectionElement.querySelector('.section-accents'),
+            beats * clicksPerBeat,
+            Utils.validateAccents(section.accents),
+            clicksPerBeat
+        );
+
+        if (section.ramp) {
+            sectionElement.querySelector('.section-ramp-start').value = section.ramp.startTempo || '';
+            sectionElement.querySelector('.section-ramp-end').value = section.ramp.endTempo;
+            sectionElement.querySelector('.section-ramp-start-bar').value = section.ramp.startBar;
+            sectionElement.querySelector('.section-ramp-end-bar').value = section.ramp.endBar;
+            sectionElement.querySelector('.section-ramp-curve').value = section.ramp.curve;
+        }
+
+        // Keep options open when the section uses any of them
+        if (section.polyrhythm || section.grouping || section.tempo || section.swing || section.subdivision || section.ramp || section.accents || section.vamp || section.extraBeats || section.modulation ||
+            Object.keys(Utils.validateSectionForm(section)).length > 0) {
+            sectionElement.querySelector('.section-options').open = true;
+        }
+
+        return sectionElement;
+    }
+
+    /**
+     * Read section data from a section row
+     * @param {HTMLElement} element - Section element
+     * @returns {Object|null} Section data, or null if the row has no name
+     */
+    readSectionElement(element) {
+        const nameInput = element.querySelector('.section-name');
+        const measuresInput = element.querySelector('.section-measures');
+        const timeSignatureInput = element.querySelector('.section-time-signature');
+        const tempoInput = element.querySelector('.section-tempo');
+
+        if (!nameInput || !measuresInput) return null;
+
+        const name = Utils.sanitizeInput(nameInput.value);
+        if (!name) return null;
+
+        const section = {
+            name,
+            measures: Utils.validateMeasures(measuresInput.value),
+            timeSignature: Utils.validateTimeSignature(timeSignatureInput?.value)
+        };
+
+        // In a polyrhythm the main pulse sets the beats of the measure
+        const polyrhythm = Utils.validatePolyrhythm(element.querySelector('.section-polyrhythm')?.value);
+        if (polyrhythm) {
+            const { noteValue } = Utils.parseTimeSignature(section.timeSignature);
+            section.timeSignature = `${polyrhythm.split(':')[1]}/${noteValue}`;
+            section.polyrhythm = polyrhythm;
+        }
+
+        // Groupings that don't add up to the measure are dropped
+        const grouping = Utils.validateGrouping(
+            element.querySelector('.section-grouping')?.value,
+            Utils.parseTimeSignature(section.timeSignature).beats
+        );
+        if (grouping) {
+            section.grouping = grouping;
+        }
+
+        // A metric modulation replaces the tempo; empty tempo means the section follows the song tempo
+        const modulation = Utils.validateModulation({
+            from: element.querySelector('.section-modulation-from')?.value,
+            to: element.querySelector('.section-modulation-to')?.value
+        });
+        if (modulation) {
+            section.modulation = modulation;
+        } else if (tempoInput && tempoInput.value !== '') {
+            section.tempo = Utils.validateTempo(tempoInput.value);
+        }
+
+        const accents = this.readAccentEditor(element.querySelector('.section-accents'));
+        if (accents) {
+            section.accents = accents;
+        }
+
+        // Empty swing means the section follows the song swing
+        const swingInput = element.querySelector('.section-swing');
+        if (swingInput && swingInput.value !== '') {
+            section.swing = Utils.validateSwing(swingInput.value);
+        }
+
+        // Empty subdivision means the section follows the song subdivision
+        const subdivision = Utils.validateSubdivision(element.querySelector('.section-subdivision')?.value);
+        if (subdivision) {
+            section.subdivision = subdivision;
+        }
+
+        if (element.querySelector('.section-vamp')?.checked) {
+            section.vamp = true;
+        }
+
+        // A short last bar, such as a 2/4 bar before the chorus of a song in 4/4
+        const extraBeats = Utils.validatePartialBeats(
+            element.querySelector('.section-extra-beats')?.value,
+            Utils.parseTimeSignature(section.timeSignature).beats
+        );
+        if (extraBeats) {
+            section.extraBeats = extraBeats;
+        }
+
+        Object.assign(section, this.readSectionForm(element));
+
+        const ramp = Utils.validateRamp({
+            startTempo: element.querySelector('.section-ramp-start')?.value,
+            endTempo: element.querySelector('.section-ramp-end')?.value,
+            curve: element.querySelector('.section-ramp-curve')?.value,
+            startBar: element.querySelector('.section-ramp-start-bar')?.value,
+            endBar: element.querySelector('.section-ramp-end-bar')?.value
+        }, section.measures);
+        if (ramp) {
+            section.ramp = ramp;
+        }
+
+        return section;
+    }
+
+    /**
+     * Read the repeat and jump markings of a section row
+     * @param {HTMLElement} element - Section element
+     * @returns {Object} Valid song form markings
+     */
+    readSectionForm(element) {
+        return Utils.validateSectionForm({
+            repeat: element.querySelector('.section-repeat')?.value,
+            repeatStart: element.querySelector('.section-repeat-start')?.checked,
+            repeatEnd: element.querySelector('.section-repeat-end')?.value,
+            ending: element.querySelector('.section-ending')?.value,
+            marker: element.querySelector('.section-marker')?.value,
+            jump: element.querySelector('.section-jump')?.value
+        });
+    }
+
     /**
      * Remove a section from the form
      * @param {HTMLElement} button - Remove button that was clicked
@@ -399,9 +1480,172 @@ class UIManager {
         const sectionItem = button.closest('.section-item');
         if (sectionItem) {
             sectionItem.remove();
+            this.refreshAccentEditors();
+            this.refreshDerivedTempos();
         }
     }
 
+    /**
+     * Get the clicks per beat of a subdivision, as in AudioManager.subdivisionSettings
+     * @param {string} subdivision - Subdivision name
+     * @returns {number} Clicks per beat
+     */
+    getClicksPerBeat(subdivision) {
+        const clicksPerBeat = { quarter: 1, eighth: 2, triplet: 3, sixteenth: 4 };
+        return clicksPerBeat[subdivision] || 1;
+    }
+
+    /**
+     * Render a row of accent cells, one per click of the measure
+     * @param {HTMLElement} editor - Accent editor element
+     * @param {number} cells - Clicks per measure
+     * @param {Array<string>|null} levels - Saved levels, or null for the default pattern
+     * @param {number} clicksPerBeat - Clicks per beat, those of the song subdivision by default
+     */
+    renderAccentEditor(editor, cells, levels = null, clicksPerBeat = this.getClicksPerBeat(this.elements.subdivisionSelect?.value)) {
+
+        editor.innerHTML = '';
+        editor.dataset.custom = levels ? 'true' : 'false';
+        editor.dataset.clicksPerBeat = clicksPerBeat;
+
+        for (let i = 0; i < cells; i++) {
+            const cell = document.createElement('button');
+            cell.type = 'button';
+            cell.className = 'accent-cell';
+            cell.classList.toggle('beat-start', i % clicksPerBeat === 0);
+            cell.dataset.level = levels?.[i] || (i === 0 ? 'accent' : 'normal');
+            cell.setAttribute('aria-label', `Click ${i + 1}: ${cell.dataset.level}`);
+            editor.appendChild(cell);
+        }
+    }
+
+    /**
+     * Move an accent cell to its next level
+     * @param {HTMLElement} cell - Accent cell that was clicked
+     */
+    cycleAccentCell(cell) {
+        const levels = ['accent', 'normal', 'ghost', 'mute'];
+        const next = levels[(levels.indexOf(cell.dataset.level) + 1) % levels.length];
+
+        cell.dataset.level = next;
+        cell.setAttribute('aria-label', cell.getAttribute('aria-label').replace(/: \w+$/, `: ${next}`));
+        cell.closest('.accent-editor').dataset.custom = 'true';
+    }
+
+    /**
+     * Read the levels of an accent editor
+     * @param {HTMLElement} editor - Accent editor element
+     * @returns {Array<string>|null} Levels, or null while the editor shows the default pattern
+     */
+    readAccentEditor(editor) {
+        if (!editor || editor.dataset.custom !== 'true') return null;
+        return Array.from(editor.children, cell => cell.dataset.level);
+    }
+
+    /**
+     * Read the levels of an accent editor for another subdivision, keeping each level
+     * on its beat and on the same spot within the beat (the "and" of eighths is the
+     * third sixteenth). Clicks with no counterpart get the default level.
+     * @param {HTMLElement} editor - Accent editor element
+     * @param {number} clicksPerBeat - Clicks per beat of the new subdivision
+     * @returns {Array<string>|null} Levels, or null while the editor shows the default pattern
+     */
+    readAccentEditorFor(editor, clicksPerBeat) {
+        const levels = this.readAccentEditor(editor);
+        const oldClicksPerBeat = parseInt(editor?.dataset.clicksPerBeat) || clicksPerBeat;
+        if (!levels || oldClicksPerBeat === clicksPerBeat) return levels;
+
+        const beats = Math.ceil(levels.length / oldClicksPerBeat);
+        const remapped = [];
+        for (let i = 0; i < beats * clicksPerBeat; i++) {
+            const beat = Math.floor(i / clicksPerBeat);
+            const position = (i % clicksPerBeat) * oldClicksPerBeat;
+            remapped.push(position % clicksPerBeat === 0
+                ? levels[beat * oldClicksPerBeat + position / clicksPerBeat]
+                : undefined);
+        }
+        return remapped;
+    }
+
+    /**
+     * Resize every accent editor to its meter and subdivision, keeping edited cells
+     */
+    refreshAccentEditors() {
+        const clicksPerBeat = this.getClicksPerBeat(this.elements.subdivisionSelect?.value);
+        const sectionItems = this.elements.sections?.querySelectorAll('.section-item') || [];
+        const beatsOf = (item) => Utils.parseTimeSignature(item?.querySelector('.section-time-signature')?.value).beats;
+
+        sectionItems.forEach(item => {
+            const editor = item.querySelector('.section-accents');
+            const sectionSubdivision = item.querySelector('.section-subdivision')?.value;
+            const sectionClicksPerBeat = sectionSubdivision ? this.getClicksPerBeat(sectionSubdivision) : clicksPerBeat;
+            if (editor) {
+                this.renderAccentEditor(editor, beatsOf(item) * sectionClicksPerBeat, this.readAccentEditorFor(editor, sectionClicksPerBeat), sectionClicksPerBeat);
+            }
+        });
+
+        // The song pattern is drawn for the meter of the first section
+        if (this.elements.songAccents) {
+            const editor = this.elements.songAccents;
+            this.renderAccentEditor(editor, beatsOf(sectionItems[0]) * clicksPerBeat, this.readAccentEditorFor(editor, clicksPerBeat));
+        }
+    }
+
+    /**
+     * Show the tempo each metric modulation leads to, and lock the tempo field it replaces.
+     * A modulation follows the section played before it in the song form, and the
+     * tempo shown is the one of the first time the section is played.
+     */
+    refreshDerivedTempos() {
+        const songTempo = Utils.validateTempo(this.elements.tempo?.value || 120);
+        const sectionItems = Array.from(this.elements.sections?.querySelectorAll('.section-item') || []);
+        const playOrder = SongForm.unroll(sectionItems.map(item => this.readSectionForm(item)));
+
+        const sections = sectionItems.map(item => {
+            const tempoInput = item.querySelector('.section-tempo');
+            const rampEnd = item.querySelector('.section-ramp-end')?.value;
+            return {
+                tempo: tempoInput?.value ? Utils.validateTempo(tempoInput.value) : songTempo,
+                rampEndTempo: rampEnd ? Utils.validateTempo(rampEnd) : null,
+                modulation: Utils.validateModulation({
+                    from: item.querySelector('.section-modulation-from')?.value,
+                    to: item.querySelector('.section-modulation-to')?.value
+                })
+            };
+        });
+
+        // Follow the song form, skipping repeats of a section so they keep its tempo
+        const stepTempos = [];
+        const modulatedTempos = new Map();
+        playOrder.forEach(({ section: index }, step) => {
+            const section = sections[index];
+            let previousStep = step - 1;
+            while (previousStep >= 0 && playOrder[previousStep].section === index) previousStep--;
+
+            if (section.modulation && previousStep >= 0) {
+                const previous = sections[playOrder[previousStep].section];
+                const previousEndTempo = previous.rampEndTempo || stepTempos[previousStep];
+                stepTempos[step] = Utils.applyModulation(previousEndTempo, section.modulation);
+                if (!modulatedTempos.has(index)) modulatedTempos.set(index, stepTempos[step]);
+            } else {
+                stepTempos[step] = section.tempo;
+            }
+        });
+
+        sectionItems.forEach((item, index) => {
+            const tempo = modulatedTempos.get(index);
+            const derivedTempo = item.querySelector('.section-derived-tempo');
+            if (derivedTempo) {
+                derivedTempo.textContent = tempo ? `(${Math.round(tempo)} BPM)` : '';
+            }
+
+            const tempoInput = item.querySelector('.section-tempo');
+            if (tempoInput) {
+                tempoInput.disabled = !!tempo;
+            }
+        });
+    }
+
     /**
      * Reset form to default values
      */
@@ -418,14 +1662,24 @@ class UIManager {
             this.elements.subdivisionSelect.value = 'quarter';
         }
         
+        if (this.elements.swing) {
+            this.elements.swing.value = '50';
+        }
+        
+        if (this.elements.pickupBeats) {
+            this.elements.pickupBeats.value = '0';
+        }
+        
+        this.setSongSounds(null);
+        
         if (this.elements.sections) {
-            this.elements.sections.innerHTML = `
-                <div class="section-item">
-                    <input type="text" placeholder="Name (e.g. Intro)" value="" maxlength="50" aria-label="Section name">
-                    <input type="number" placeholder="Measures" min="1" max="32" value="4" aria-label="Number of measures">
-                    <button type="button" aria-label="Remove section">✕</button>
-                </div>
-            `;
+            this.elements.sections.innerHTML = '';
+            this.elements.sections.appendChild(this.createSectionElement());
+        }
+        
+        if (this.elements.songAccents) {
+            this.renderAccentEditor(this.elements.songAccents, 0, null);
+            this.refreshAccentEditors();
         }
         
         console.log('Form reset to defaults');
@@ -484,16 +1738,9 @@ class UIManager {
         const sectionElements = this.elements.sections?.querySelectorAll('.section-item') || [];
         
         sectionElements.forEach(element => {
-            const nameInput = element.querySelector('input[type="text"]');
-            const measuresInput = element.querySelector('input[type="number"]');
-            
-            if (nameInput && measuresInput) {
-                const name = Utils.sanitizeInput(nameInput.value);
-                const measures = Utils.validateMeasures(measuresInput.value);
-                
-                if (name) {
-                    sections.push({ name, measures });
-                }
+            const section = this.readSectionElement(element);
+            if (section) {
+                sections.push(section);
             }
         });
 
@@ -501,6 +1748,13 @@ class UIManager {
             title: Utils.sanitizeInput(this.elements.songTitle?.value || ''),
             tempo: Utils.validateTempo(this.elements.tempo?.value || 120),
             subdivision: this.elements.subdivisionSelect?.value || 'quarter',
+            swing: Utils.validateSwing(this.elements.swing?.value || 50),
+            pickupBeats: Utils.validatePartialBeats(
+                this.elements.pickupBeats?.value,
+                Utils.parseTimeSignature(sections[0]?.timeSignature).beats
+            ) || 0,
+            accents: this.readAccentEditor(this.elements.songAccents),
+            sounds: this.getSongSounds(),
             sections
         };
     }
@@ -523,22 +1777,32 @@ class UIManager {
             this.elements.subdivisionSelect.value = song.subdivision;
         }
         
+        if (this.elements.swing) {
+            this.elements.swing.value = Utils.validateSwing(song.swing);
+        }
+        
+        if (this.elements.pickupBeats) {
+            this.elements.pickupBeats.value = song.pickupBeats || 0;
+        }
+        
+        this.setSongSounds(song.sounds);
+        
         if (this.elements.sections) {
             this.elements.sections.innerHTML = '';
             
             song.sections.forEach(section => {
-                const sectionElement = document.createElement('div');
-                sectionElement.className = 'section-item';
-                sectionElement.innerHTML = `
-                    <input type="text" placeholder="Name" value="${section.name}" 
-                           maxlength="50" aria-label="Section name">
-                    <input type="number" placeholder="Measures" min="1" max="32" 
-                           value="${section.measures}" aria-label="Number of measures">
-                    <button type="button" aria-label="Remove section">✕</button>
-                `;
-                this.elements.sections.appendChild(sectionElement);
+                this.elements.sections.appendChild(this.createSectionElement(section));
             });
         }
+        
+        // The song pattern is drawn for the meter of the first section
+        if (this.elements.songAccents) {
+            const beats = Utils.parseTimeSignature(song.sections[0]?.timeSignature).beats;
+            const clicksPerBeat = this.getClicksPerBeat(this.elements.subdivisionSelect?.value);
+            this.renderAccentEditor(this.elements.songAccents, beats * clicksPerBeat, Utils.validateAccents(song.accents));
+        }
+
+        this.refreshDerivedTempos();
     }
 
     /**
@@ -566,14 +1830,14 @@ class UIManager {
             songCard.setAttribute('data-song-id', song.id);
             
             const sectionsText = song.sections
-                .map(s => `${s.name}(${s.measures})`)
+                .map(s => this.formatSectionSummary(s))
                 .join(', ');
             const savedDate = Utils.formatDate(song.savedAt);
             
             songCard.innerHTML = `
                 <h4>${song.title}</h4>
                 <div class="song-info">
-                    ${song.tempo} BPM<br>
+                    ${song.tempo} BPM${song.swing > 50 ? ` · Swing ${song.swing}%` : ''}<br>
                     ${sectionsText}<br>
                     <small>Saved on ${savedDate}</small>
                 </div>
@@ -622,6 +1886,46 @@ class UIManager {
         });
     }
 
+    /**
+     * Format a short section summary for song cards
+     * @param {Object} section - Section object
+     * @returns {string} Summary such as "Bridge(8, 7/8, 90 BPM)"
+     */
+    formatSectionSummary(section) {
+        const details = [section.extraBeats ? `${section.measures} + ${section.extraBeats} beats` : section.measures];
+        
+        const timeSignature = Utils.validateTimeSignature(section.timeSignature);
+        if (timeSignature !== '4/4') {
+            details.push(section.grouping ? `${timeSignature} as ${section.grouping}` : timeSignature);
+        }
+        
+        if (section.polyrhythm) {
+            details.push(section.polyrhythm);
+        }
+        
+        if (section.tempo) {
+            details.push(`${section.tempo} BPM`);
+        }
+        
+        if (section.modulation) {
+            details.push(`${section.modulation.from} = ${section.modulation.to}`.replace(/-/g, ' '));
+        }
+        
+        if (section.subdivision) {
+            details.push(section.subdivision === 'triplet' ? 'triplets' : `${section.subdivision}s`);
+        }
+        
+        if (section.swing) {
+            details.push(`swing ${section.swing}%`);
+        }
+        
+        if (section.ramp) {
+            details.push(`→ ${section.ramp.endTempo} BPM`);
+        }
+        
+        return `${section.name}(${details.join(', ')})`;
+    }
+
     /**
      * Import songs from file input
      * @param {File} file - File to import
@@ -0,0 +1,69 @@
+// DrumHelper WAV Encoder Module
+
+/**
+ * WavEncoder writes AudioBuffers as PCM WAV files
+ */
+class WavEncoder {
+    /**
+     * Encode an AudioBuffer as a WAV file
+     * @param {AudioBuffer} audioBuffer - Audio to encode
+     * @param {number} bitDepth - 16 or 24 bits per sample
+     * @returns {ArrayBuffer} WAV file bytes
+     */
+    static encode(audioBuffer, bitDepth = 16) {
+        const bytesPerSample = bitDepth === 24 ? 3 : 2;
+        const channels = audioBuffer.numberOfChannels;
+        const frames = audioBuffer.length;
+        const blockAlign = channels * bytesPerSample;
+        const dataSize = frames * blockAlign;
+
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        // RIFF header and PCM format chunk
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, audioBuffer.sampleRate, true);
+        view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // Interleaved samples, clipped to full scale
+        const channelData = Array.from({ length: channels }, (_, channel) => audioBuffer.getChannelData(channel));
+        const maxValue = bytesPerSample === 3 ? 0x7FFFFF : 0x7FFF;
+        let offset = 44;
+
+        for (let frame = 0; frame < frames; frame++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][frame]));
+                const value = Math.round(sample * maxValue);
+
+                if (bytesPerSample === 3) {
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                } else {
+                    view.setInt16(offset, value, true);
+                }
+                offset += bytesPerSample;
+            }
+        }
+
+        return buffer;
+    }
+}
+
+// Export for use in other modules
+window.WavEncoder = WavEncoder;
@@ -7,13 +7,26 @@ class DrumHelper {
         this.uiManager = new UIManager();
         this.configManager = new ConfigManager();
         
-        // Initialize audio manager (using basic AudioManager for better sound quality)
-        this.audioManager = new AudioManager();
+        // Initialize audio manager with the sound bank; the classic beeps stay the default
+        this.audioManager = new AdvancedAudioManager(this.configManager);
+        this.sampleStore = new SampleStore();
             
-        this.songManager = new SongManager(this.audioManager, this.uiManager);
+        this.songManager = new SongManager(this.audioManager, this.uiManager, this.configManager);
+        this.tempoTrainer = new TempoTrainer(this.songManager, {
+            onProgress: (status) => this.uiManager.updateTrainerStatus(status),
+            onFinish: (status) => {
+                this.uiManager.updateLoopSections(this.songManager.sections, this.songManager.loop);
+                Utils.createSuccessNotification(`Target tempo reached: ${status.reachedTempo} BPM`);
+                this.offerTrainerTempo(status.reachedTempo);
+            }
+        });
+        this.tapTempo = new TapTempo();
+        this.clickTrackRenderer = new ClickTrackRenderer(this.songManager, this.audioManager);
         
         // State
         this.currentSongId = null;
+        this.editingSongId = null; // Song open in the composer, null for a new song
+        this.meterFrameId = null;
         
         // Initialize application
         this.initialize();
@@ -33,8 +46,24 @@ class DrumHelper {
             // Initialize configuration management
             await this.configManager.applyConfig();
             
-            // Log which audio manager is being used
-            console.log('Using basic AudioManager for clean metronome sounds');
+            // Show saved playback preferences
+            this.uiManager.setCountInControls(
+                this.configManager.get('playback.countInBeats', 0),
+                this.configManager.get('playback.countInVoice', false)
+            );
+            this.uiManager.setGapControls(this.songManager.gap);
+            this.uiManager.setLiveChangeControl(this.configManager.get('playback.liveChangeAt', 'beat'));
+            this.uiManager.setVampExitControl(this.configManager.get('playback.vampExit', 'downbeat'));
+            this.applyMix();
+            this.audioManager.setRouting(this.configManager.get('audio.routing') || {});
+            this.uiManager.setRoutingControls(this.audioManager.routing);
+            this.songManager.addObserver((event) => {
+                if (event === 'playback-started') this.startMixerMeters();
+            });
+
+            // The sound bank is synthesized in the background, then imported samples join it
+            await this.audioManager.soundBankReady;
+            await this.loadCustomSamples();
             
             console.log('Application initialized successfully');
             
@@ -53,6 +82,9 @@ class DrumHelper {
                 const newTempo = parseInt(e.target.value);
                 this.songManager.setTempo(newTempo);
             },
+            onSwingChange: (e) => {
+                this.songManager.setSwing(parseInt(e.target.value));
+            },
             onMetronomeToggle: () => this.audioManager.toggleMetronome(),
             onVoiceToggle: () => this.audioManager.toggleVoice(),
             onMeasureAnnouncementToggle: () => {
@@ -67,18 +99,91 @@ class DrumHelper {
                 this.audioManager.setSpeechRate(parseFloat(e.target.value));
             },
             onSubdivisionChange: (e) => {
-                this.audioManager.setSubdivision(e.target.value);
+                // While playing the new subdivision starts at the next beat or downbeat
                 this.songManager.setSubdivision(e.target.value);
-                // If playing, restart with new subdivision timing
-                if (this.songManager.isPlaying) {
-                    this.songManager.pause();
-                    setTimeout(() => this.songManager.play(), 100);
+            },
+            onLiveChangeAtChange: (e) => {
+                if (this.configManager.validate('playback.liveChangeAt', e.target.value)) {
+                    this.configManager.set('playback.liveChangeAt', e.target.value);
                 }
             },
+            onVampExitChange: (e) => {
+                if (this.configManager.validate('playback.vampExit', e.target.value)) {
+                    this.configManager.set('playback.vampExit', e.target.value);
+                }
+            },
+            onNextSection: () => this.songManager.cueNextSection(),
+            onSoundChange: (voice, sound) => {
+                if (this.configManager.validate(`audio.${voice}Sound`, sound)) {
+                    this.configManager.set(`audio.${voice}Sound`, sound);
+                }
+            },
+            onAuditionSound: (voice, sound) => this.audioManager.auditionSound(voice, sound),
+            onImportSamples: (files) => this.importSampleFiles(files),
+            onMixerChange: (bus, changes, persist) => this.changeMix(bus, changes, persist),
+            onRoutingChange: (route, value, persist) => {
+                this.audioManager.setRouting({ ...this.audioManager.routing, [route]: value });
+                this.uiManager.setRoutingControls(this.audioManager.routing);
+                if (persist) {
+                    this.configManager.set('audio.routing', this.audioManager.routing);
+                }
+            },
+            onSaveSongMix: () => this.saveSongMix(),
+            onClearSongMix: () => this.clearSongMix(),
+            onSeek: () => {
+                const { section, measure, preRoll } = this.uiManager.getSeekSettings();
+                this.songManager.seek(section, measure, preRoll);
+            },
+            onSkipSection: (direction) => this.songManager.skipSection(direction),
+            onRenderClickTrack: () => this.renderClickTrack(),
+            onCountInChange: (e) => {
+                const beats = parseInt(e.target.value);
+                if (this.configManager.validate('playback.countInBeats', beats)) {
+                    this.configManager.set('playback.countInBeats', beats);
+                }
+            },
+            onCountInVoiceToggle: () => {
+                const enabled = !this.configManager.get('playback.countInVoice', false);
+                this.configManager.set('playback.countInVoice', enabled);
+                this.uiManager.setCountInControls(this.configManager.get('playback.countInBeats', 0), enabled);
+            },
+            onLoopChange: () => {
+                this.songManager.setLoop(this.uiManager.getLoopSettings());
+                this.uiManager.updateLoopSections(this.songManager.sections, this.songManager.loop);
+                this.configManager.set('playback.loopMode', this.songManager.loop.mode);
+                this.configManager.set('playback.loopCount', this.songManager.loop.count);
+            },
+            onGapChange: () => {
+                this.songManager.setGapTraining(this.uiManager.getGapSettings());
+                const gap = this.songManager.gap;
+                this.uiManager.setGapControls(gap);
+                this.configManager.setMany({
+                    'playback.gapMode': gap.mode,
+                    'playback.gapPlayBars': gap.playBars,
+                    'playback.gapMuteBars': gap.muteBars,
+                    'playback.gapMutePercent': gap.mutePercent,
+                    'playback.gapHideBeat': gap.hideBeat
+                });
+            },
+            onTrainerToggle: () => {
+                if (this.tempoTrainer.isActive) {
+                    const status = this.tempoTrainer.stop();
+                    // The loop settings from before the trainer are back
+                    this.uiManager.updateLoopSections(this.songManager.sections, this.songManager.loop);
+                    this.offerTrainerTempo(status.reachedTempo);
+                } else {
+                    this.tempoTrainer.start(this.uiManager.getTrainerSettings());
+                    // The trainer switches looping on when it is off
+                    this.uiManager.updateLoopSections(this.songManager.sections, this.songManager.loop);
+                }
+            },
+            onTrainerMiss: () => this.tempoTrainer.markMiss(),
+            onTap: (time) => this.handleTap(time),
             onNewSong: () => {
                 this.uiManager.resetFormToDefaults();
                 this.uiManager.showComposerView();
                 this.currentSongId = null; // Clear current song ID for new song
+                this.editingSongId = null;
             },
             onComposeSave: () => this.saveCurrentSong(),
             onComposeReset: () => {
@@ -88,12 +193,13 @@ class DrumHelper {
             onComposeCancel: () => {
                 this.uiManager.showSavedSongsView();
                 this.currentSongId = null; // Clear editing state
+                this.editingSongId = null;
             },
             onEditSong: (songId) => {
                 console.log('Edit button clicked for song:', songId);
                 this.editSong(songId);
             },
-            onExportSongs: () => this.storageManager.exportAllSongs()
+            onExportSongs: () => this.exportSongs()
         });
     }
 
@@ -114,6 +220,14 @@ class DrumHelper {
             title: formData.title,
             tempo: formData.tempo,
             subdivision: formData.subdivision,
+            swing: formData.swing,
+            pickupBeats: formData.pickupBeats,
+            accents: formData.accents,
+            sounds: formData.sounds,
+            // The mix is set in the mixer, not the composer, so keep it when the edited song is saved again
+            mixer: formData.title === this.editingSongId
+                ? this.storageManager.savedSongs[this.editingSongId]?.mixer || null
+                : null,
             sections: formData.sections
         };
 
@@ -121,6 +235,7 @@ class DrumHelper {
         const success = this.storageManager.saveSong(songData);
         if (success) {
             this.currentSongId = songData.id;
+            this.editingSongId = null;
             this.displaySavedSongs();
             // Load and activate the newly saved song
             this.loadSong(songData.id);
@@ -131,6 +246,80 @@ class DrumHelper {
         }
     }
 
+    /**
+     * Register a tap and apply the detected tempo to the open view
+     * @param {number} time - Tap time in milliseconds
+     */
+    handleTap(time) {
+        const result = this.tapTempo.tap(time);
+        this.uiManager.updateTapTempo(result);
+
+        // Two intervals are the least that says anything about a tempo
+        if (result.taps < 3 || !Number.isFinite(result.bpm)) return;
+
+        const tempo = Utils.validateTempo(result.bpm);
+        if (this.uiManager.isComposerOpen()) {
+            this.uiManager.setComposerTempo(tempo);
+        } else {
+            this.songManager.setTempo(tempo);
+        }
+    }
+
+    /**
+     * Render the selected song's click track and download it as a WAV file
+     */
+    async renderClickTrack() {
+        // Rendering drives the song's transport, which would cut off live playback
+        if (this.songManager.isPlaying) {
+            Utils.createErrorNotification('Stop playback before rendering the click track');
+            return;
+        }
+
+        const settings = this.uiManager.getRenderSettings();
+        const title = this.songManager.songTitle || 'click-track';
+        this.uiManager.setRenderBusy(true);
+
+        try {
+            const wav = await this.clickTrackRenderer.render(settings);
+
+            const url = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${title.replace(/[^\w-]+/g, '-')}-${this.songManager.tempo}bpm.wav`;
+
+            // Trigger download
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            Utils.createSuccessNotification(`Click track of "${title}" rendered (voice announcements are not included)`);
+        } catch (error) {
+            console.error('Click track render failed:', error);
+            Utils.createErrorNotification(`Render failed: ${error.message}`);
+        } finally {
+            this.uiManager.setRenderBusy(false);
+        }
+    }
+
+    /**
+     * Offer to save the tempo reached with the tempo trainer to the current song
+     * @param {number} tempo - Highest tempo the trainer reached
+     */
+    offerTrainerTempo(tempo) {
+        if (!this.currentSongId) return;
+
+        const song = this.storageManager.savedSongs[this.currentSongId];
+        if (!song || song.tempo === tempo) return;
+
+        if (!confirm(`Save ${tempo} BPM as the tempo of "${song.title}"?`)) return;
+
+        if (this.storageManager.updateSongTempo(this.currentSongId, tempo)) {
+            this.songManager.setTempo(tempo);
+            this.displaySavedSongs();
+        }
+    }
+
     editSong(songId) {
         console.log('editSong called with ID:', songId);
         const song = this.storageManager.loadSong(songId);
@@ -143,6 +332,7 @@ class DrumHelper {
         
         // Set current song ID for editing
         this.currentSongId = songId;
+        this.editingSongId = songId;
         
         // Populate form with song data
         console.log('Populating form with song data...');
@@ -161,8 +351,11 @@ class DrumHelper {
             return;
         }
 
-        // Stop playback if running
+        // Stop playback if running; the trainer's tempo belongs to the previous song
         this.songManager.stop();
+        if (this.tempoTrainer.isActive) {
+            this.tempoTrainer.stop();
+        }
 
         // Load song data into the song manager
         this.songManager.loadSongData(song);
@@ -171,9 +364,11 @@ class DrumHelper {
         if (song.subdivision) {
             this.audioManager.setSubdivision(song.subdivision);
         }
+        this.audioManager.setSongSounds(song.sounds);
 
         // Update current song ID and refresh display
         this.currentSongId = songId;
+        this.applyMix();
         this.displaySavedSongs();
 
         Utils.createSuccessNotification(`"${song.title}" selected!`);
@@ -183,8 +378,11 @@ class DrumHelper {
         const song = this.storageManager.loadSong(songId);
         if (!song) return;
         
-        // Stop playback if running
+        // Stop playback if running; the trainer's tempo belongs to the previous song
         this.songManager.stop();
+        if (this.tempoTrainer.isActive) {
+            this.tempoTrainer.stop();
+        }
 
         // Populate form with song data
         this.uiManager.populateForm(song);
@@ -197,6 +395,8 @@ class DrumHelper {
         if (song.subdivision) {
             this.audioManager.setSubdivision(song.subdivision);
         }
+        this.audioManager.setSongSounds(song.sounds);
+        this.applyMix();
         
         this.displaySavedSongs();
         
@@ -208,6 +408,7 @@ class DrumHelper {
         if (success) {
             if (this.currentSongId === songId) {
                 this.currentSongId = null;
+                this.applyMix();
             }
             this.displaySavedSongs();
         }
@@ -223,9 +424,267 @@ class DrumHelper {
     }
 
     importSongs(file) {
-        this.storageManager.importSongs(file, () => {
+        this.storageManager.importSongs(file, async (samples) => {
             this.displaySavedSongs();
+            await this.importBundledSamples(samples);
+        });
+    }
+
+    /**
+     * Export all songs with the custom samples they use
+     */
+    async exportSongs() {
+        const sampleIds = new Set();
+        this.storageManager.getAllSongs().forEach(song => {
+            Object.values(song.sounds || {})
+                .filter(sound => sound.startsWith('custom:'))
+                .forEach(sound => sampleIds.add(sound));
+        });
+
+        const samples = {};
+        for (const id of sampleIds) {
+            try {
+                const sample = await this.sampleStore.get(id);
+                if (sample) {
+                    samples[id] = { name: sample.name, data: Utils.arrayBufferToBase64(sample.data) };
+                }
+            } catch (error) {
+                console.warn(`Sample ${id} left out of the export:`, error);
+            }
+        }
+
+        this.storageManager.exportAllSongs(samples);
+    }
+
+    /**
+     * Store the custom samples bundled with imported songs
+     * @param {Object} samples - Samples by id, with name and base64 WAV data
+     */
+    async importBundledSamples(samples) {
+        let importedCount = 0;
+
+        for (const [id, bundled] of Object.entries(samples)) {
+            const data = Utils.base64ToArrayBuffer(bundled?.data);
+            if (!/^custom:\w+$/.test(id) || !data) continue;
+
+            const sample = { id, name: Utils.sanitizeInput(bundled.name).slice(0, 40) || 'Sample', data };
+            if (await this.audioManager.loadCustomSound(sample)) {
+                await this.storeSample(sample);
+                importedCount++;
+            }
+        }
+
+        if (importedCount > 0) {
+            this.refreshSoundOptions();
+            Utils.createSuccessNotification(`${importedCount} sample(s) imported with the songs`);
+        }
+    }
+
+    /**
+     * Load the stored custom samples into the sound bank and show the sound pickers
+     */
+    async loadCustomSamples() {
+        try {
+            const samples = await this.sampleStore.getAll();
+            for (const sample of samples) {
+                await this.audioManager.loadCustomSound(sample);
+            }
+        } catch (error) {
+            console.error('Failed to load custom samples:', error);
+        }
+
+        this.refreshSoundOptions();
+    }
+
+    /**
+     * Show the sound bank in the sound pickers and the custom sample list
+     */
+    refreshSoundOptions() {
+        this.uiManager.setSoundOptions(this.audioManager.getSoundOptions(), {
+            downbeat: this.configManager.get('audio.downbeatSound', 'classic'),
+            beat: this.configManager.get('audio.beatSound', 'classic'),
+            subdivision: this.configManager.get('audio.subdivisionSound', 'classic')
+        });
+
+        const samples = Array.from(this.audioManager.customSoundNames, ([id, name]) => ({ id, name }));
+        this.uiManager.displayCustomSamples(samples, {
+            onRenameSample: (id, name) => this.renameSample(id, name),
+            onPreviewSample: (id) => this.audioManager.auditionSound('beat', id),
+            onDeleteSample: (id) => this.deleteSample(id)
+        });
+    }
+
+    /**
+     * Import audio files as custom samples
+     * @param {Array<File>} files - Audio files
+     */
+    async importSampleFiles(files) {
+        for (const file of files) {
+            const sample = await this.audioManager.createSampleFromFile(file);
+            if (!sample || !await this.audioManager.loadCustomSound(sample)) {
+                Utils.createErrorNotification(`Could not read "${file.name}" as audio`);
+                continue;
+            }
+
+            if (await this.storeSample(sample)) {
+                Utils.createSuccessNotification(`Sample "${sample.name}" imported!`);
+            }
+        }
+
+        this.refreshSoundOptions();
+    }
+
+    /**
+     * Store a sample, warning when it will only last until the page is closed
+     * @param {Object} sample - Sample with id, name and WAV data
+     * @returns {Promise<boolean>} True if stored
+     */
+    async storeSample(sample) {
+        try {
+            await this.sampleStore.save(sample);
+            return true;
+        } catch (error) {
+            console.error('Failed to store sample:', error);
+            Utils.createErrorNotification(`"${sample.name}" can be used until the page is closed, but could not be stored`);
+            return false;
+        }
+    }
+
+    /**
+     * Rename a custom sample
+     * @param {string} id - Sample id
+     * @param {string} name - New name
+     */
+    async renameSample(id, name) {
+        const cleanName = Utils.sanitizeInput(name).slice(0, 40);
+        if (!cleanName) {
+            this.refreshSoundOptions();
+            return;
+        }
+
+        try {
+            await this.sampleStore.rename(id, cleanName);
+        } catch (error) {
+            console.error('Failed to rename sample:', error);
+        }
+        this.audioManager.renameCustomSound(id, cleanName);
+        this.refreshSoundOptions();
+    }
+
+    /**
+     * Delete a custom sample; voices using it go back to the classic beeps
+     * @param {string} id - Sample id
+     */
+    async deleteSample(id) {
+        const name = this.audioManager.customSoundNames.get(id);
+        const usedBy = this.storageManager.getAllSongs()
+            .filter(song => Object.values(song.sounds || {}).includes(id));
+        const usage = usedBy.length > 0 ? `\n\nUsed by ${usedBy.length} song(s), which will use the classic beeps instead.` : '';
+        if (!confirm(`Delete the sample "${name}"?${usage}`)) return;
+
+        try {
+            await this.sampleStore.delete(id);
+        } catch (error) {
+            console.error('Failed to delete sample:', error);
+        }
+        this.audioManager.removeCustomSound(id);
+
+        ['downbeat', 'beat', 'subdivision'].forEach(voice => {
+            if (this.configManager.get(`audio.${voice}Sound`) === id) {
+                this.configManager.set(`audio.${voice}Sound`, 'classic');
+            }
         });
+        this.refreshSoundOptions();
+    }
+
+    /**
+     * Get the app mix from the settings; the master level is the app volume
+     * @returns {Object} Mixer settings
+     */
+    getAppMix() {
+        const settings = Utils.validateMixer(this.configManager.get('audio.mixer') || {});
+        settings.master.level = this.configManager.get('audio.volume', 0.7);
+        return settings;
+    }
+
+    /**
+     * Play through the current song's own mix, or the app mix if it has none
+     */
+    applyMix() {
+        const song = this.storageManager.savedSongs[this.currentSongId];
+        this.audioManager.setMixerSettings(song?.mixer || this.getAppMix());
+        this.uiManager.setMixerControls(this.audioManager.mixerSettings, song?.title || null, !!song?.mixer);
+    }
+
+    /**
+     * Change one mixer bus and store the mix where it came from
+     * @param {string} bus - Bus name
+     * @param {Object} changes - New level, mute or solo
+     * @param {boolean} persist - False while a slider is being dragged
+     */
+    changeMix(bus, changes, persist) {
+        const settings = Utils.validateMixer(this.audioManager.mixerSettings || this.getAppMix());
+        settings[bus] = { ...settings[bus], ...changes };
+        this.audioManager.setMixerSettings(settings);
+        if (!persist) return;
+
+        const song = this.storageManager.savedSongs[this.currentSongId];
+        if (song?.mixer) {
+            this.storageManager.updateSongMixer(song.id, this.audioManager.mixerSettings);
+        } else {
+            this.configManager.setMany({
+                'audio.volume': this.audioManager.mixerSettings.master.level,
+                'audio.mixer': this.audioManager.mixerSettings
+            });
+        }
+        this.uiManager.setMixerControls(this.audioManager.mixerSettings, song?.title || null, !!song?.mixer);
+    }
+
+    /**
+     * Store the current mix with the current song, recalled whenever it is selected
+     */
+    saveSongMix() {
+        const song = this.storageManager.savedSongs[this.currentSongId];
+        if (!song) return;
+
+        if (this.storageManager.updateSongMixer(song.id, this.audioManager.mixerSettings)) {
+            this.applyMix();
+            Utils.createSuccessNotification(`Mix saved with "${song.title}"`);
+        }
+    }
+
+    /**
+     * Remove the current song's own mix so it plays through the app mix
+     */
+    clearSongMix() {
+        const song = this.storageManager.savedSongs[this.currentSongId];
+        if (!song?.mixer) return;
+
+        if (this.storageManager.updateSongMixer(song.id, null)) {
+            this.applyMix();
+            Utils.createSuccessNotification(`"${song.title}" uses the app mix again`);
+        }
+    }
+
+    /**
+     * Move the mixer level meters while playing. After playback stops they run
+     * until the last click has died away, then the frame loop ends.
+     */
+    startMixerMeters() {
+        if (this.meterFrameId) return;
+
+        const update = () => {
+            const levels = this.audioManager.mixer?.getLevels() || {};
+            this.uiManager.updateMixerMeters(levels);
+
+            // Below -80 dB the meters are empty
+            if (!this.songManager.isPlaying && Object.values(levels).every(level => level < 1e-4)) {
+                this.meterFrameId = null;
+                return;
+            }
+            this.meterFrameId = requestAnimationFrame(update);
+        };
+        this.meterFrameId = requestAnimationFrame(update);
     }
 
     /**
@@ -301,6 +760,10 @@ class DrumHelper {
      * Clean up resources when app is closed
      */
     cleanup() {
+        if (this.meterFrameId) {
+            cancelAnimationFrame(this.meterFrameId);
+            this.meterFrameId = null;
+        }
         this.songManager.cleanup();
         this.audioManager.cleanup();
     }
@@ -60,6 +60,287 @@ class Utils {
         return Math.min(Math.max(num, 1), 32);
     }
 
+    /**
+     * Validate swing value
+     * @param {number} swing - Swing percentage
+     * @returns {number} Valid swing between 50 (straight) and 75 (hard shuffle)
+     */
+    static validateSwing(swing) {
+        const num = parseInt(swing);
+        if (isNaN(num)) return 50;
+        return Math.min(Math.max(num, 50), 75);
+    }
+
+    /**
+     * Validate a subdivision name
+     * @param {string} subdivision - Subdivision such as 'eighth'
+     * @returns {string|null} Valid subdivision, or null if unknown
+     */
+    static validateSubdivision(subdivision) {
+        return ['quarter', 'eighth', 'triplet', 'sixteenth'].includes(subdivision) ? subdivision : null;
+    }
+
+    /**
+     * Validate the sounds chosen for the downbeat, beat and subdivision voices
+     * @param {Object} sounds - Sound names by voice
+     * @returns {Object|null} Valid sound names, or null if no voice has one
+     */
+    static validateSounds(sounds) {
+        if (!sounds || typeof sounds !== 'object') return null;
+
+        const valid = {};
+        ['downbeat', 'beat', 'subdivision'].forEach(voice => {
+            if (typeof sounds[voice] === 'string' && /^[\w:-]{1,64}$/.test(sounds[voice])) {
+                valid[voice] = sounds[voice];
+            }
+        });
+        return Object.keys(valid).length > 0 ? valid : null;
+    }
+
+    /**
+     * Validate mixer settings
+     * @param {Object} mixer - Level (0 to 1) and mute of the master bus, and level, mute and solo
+     *     of the downbeat, beat, subdivision and voice buses
+     * @returns {Object|null} Settings for every bus with defaults filled in, or null if not an object
+     */
+    static validateMixer(mixer) {
+        if (!mixer || typeof mixer !== 'object') return null;
+
+        const validateLevel = (level, fallback) => {
+            const num = parseFloat(level);
+            return isNaN(num) ? fallback : Math.min(Math.max(num, 0), 1);
+        };
+
+        const valid = {
+            master: { level: validateLevel(mixer.master?.level, 0.7), mute: !!mixer.master?.mute }
+        };
+        ['downbeat', 'beat', 'subdivision', 'voice'].forEach(bus => {
+            valid[bus] = {
+                level: validateLevel(mixer[bus]?.level, 1),
+                mute: !!mixer[bus]?.mute,
+                solo: !!mixer[bus]?.solo
+            };
+        });
+        return valid;
+    }
+
+    /**
+     * Validate output routing
+     * @param {Object} routing - Stereo position of the click and of the subdivisions,
+     *     from -1 (left channel only) to 1 (right channel only), and voice: 'both', or
+     *     'off' to keep speech off both channels while the click is split
+     * @returns {Object|null} Routing with defaults filled in, or null if not an object
+     */
+    static validateRouting(routing) {
+        if (!routing || typeof routing !== 'object') return null;
+
+        const validatePan = (pan) => {
+            const num = parseFloat(pan);
+            return isNaN(num) ? 0 : Math.min(Math.max(num, -1), 1);
+        };
+        return {
+            click: validatePan(routing.click),
+            subdivision: validatePan(routing.subdivision),
+            voice: routing.voice === 'off' ? 'off' : 'both'
+        };
+    }
+
+    /**
+     * Validate time signature value
+     * @param {string} timeSignature - Time signature such as '7/8'
+     * @returns {string} Valid time signature, '4/4' if invalid
+     */
+    static validateTimeSignature(timeSignature) {
+        const match = String(timeSignature || '').trim().match(/^(\d{1,2})\s*\/\s*(\d{1,2})$/);
+        if (!match) return '4/4';
+
+        const beats = parseInt(match[1]);
+        const noteValue = parseInt(match[2]);
+        if (beats < 1 || beats > 16 || ![2, 4, 8, 16].includes(noteValue)) return '4/4';
+
+        return `${beats}/${noteValue}`;
+    }
+
+    /**
+     * Parse time signature into its parts
+     * @param {string} timeSignature - Time signature such as '7/8'
+     * @returns {Object} Beats per measure and note value of one beat
+     */
+    static parseTimeSignature(timeSignature) {
+        const [beats, noteValue] = this.validateTimeSignature(timeSignature).split('/').map(Number);
+        return { beats, noteValue };
+    }
+
+    /**
+     * Validate a beat grouping such as '2+2+3'
+     * @param {string} grouping - Group sizes joined with '+'
+     * @param {number} beats - Beats per measure the groups must add up to
+     * @returns {string|null} Normalized grouping, or null if invalid
+     */
+    static validateGrouping(grouping, beats) {
+        const groups = String(grouping || '').split('+').map(group => parseInt(group));
+        if (groups.some(group => isNaN(group) || group < 1)) return null;
+
+        const total = groups.reduce((sum, group) => sum + group, 0);
+        return total === beats && groups.length > 1 ? groups.join('+') : null;
+    }
+
+    /**
+     * Get the usual beat grouping of a compound meter
+     * @param {string} timeSignature - Time signature such as '6/8'
+     * @returns {string|null} Grouping in dotted quarters for 6/8, 9/8 and 12/8, otherwise null
+     */
+    static getDefaultGrouping(timeSignature) {
+        const { beats, noteValue } = this.parseTimeSignature(timeSignature);
+        if (noteValue !== 8 || beats < 6 || beats % 3 !== 0) return null;
+
+        return Array(beats / 3).fill(3).join('+');
+    }
+
+    /**
+     * Validate a polyrhythm such as '3:2'
+     * @param {string} polyrhythm - Secondary pulses and main beats per measure joined with ':'
+     * @returns {string|null} Normalized polyrhythm, or null if invalid
+     */
+    static validatePolyrhythm(polyrhythm) {
+        const match = String(polyrhythm || '').trim().match(/^(\d{1,2})\s*:\s*(\d{1,2})$/);
+        if (!match) return null;
+
+        const pulses = parseInt(match[1]);
+        const beats = parseInt(match[2]);
+        if (pulses < 1 || pulses > 16 || beats < 1 || beats > 16 || pulses === beats) return null;
+
+        return `${pulses}:${beats}`;
+    }
+
+    /**
+     * Validate an accent pattern
+     * @param {Array<string>} accents - One level per click of the measure
+     * @returns {Array<string>|null} Valid pattern, or null if invalid
+     */
+    static validateAccents(accents) {
+        const levels = ['accent', 'normal', 'ghost', 'mute'];
+        if (!Array.isArray(accents) || accents.length === 0 || accents.length > 64) return null;
+
+        return accents.every(level => levels.includes(level)) ? [...accents] : null;
+    }
+
+    /**
+     * Get the note values a metric modulation can relate
+     * @returns {Object} Length of each note value in quarter notes
+     */
+    static getNoteLengths() {
+        return {
+            'half': 2,
+            'dotted-quarter': 1.5,
+            'quarter': 1,
+            'triplet-quarter': 2 / 3,
+            'dotted-eighth': 0.75,
+            'eighth': 0.5,
+            'triplet-eighth': 1 / 3,
+            'sixteenth': 0.25,
+            'triplet-sixteenth': 1 / 6
+        };
+    }
+
+    /**
+     * Validate a metric modulation
+     * @param {Object} modulation - Old note value (from) that the new note value (to) equals
+     * @returns {Object|null} Valid modulation, or null if invalid
+     */
+    static validateModulation(modulation) {
+        const lengths = this.getNoteLengths();
+        if (!modulation || !lengths[modulation.from] || !lengths[modulation.to]) return null;
+        if (modulation.from === modulation.to) return null;
+
+        return { from: modulation.from, to: modulation.to };
+    }
+
+    /**
+     * Get the tempo after a metric modulation. The new note lasts as long as
+     * the old one did, e.g. "triplet eighth = eighth" turns 90 into 135.
+     * @param {number} tempo - Tempo before the modulation
+     * @param {Object} modulation - Valid modulation
+     * @returns {number} New tempo, kept within 60-200 BPM but not rounded
+     */
+    static applyModulation(tempo, modulation) {
+        const lengths = this.getNoteLengths();
+        const newTempo = tempo * lengths[modulation.to] / lengths[modulation.from];
+        return Math.min(Math.max(newTempo, 60), 200);
+    }
+
+    /**
+     * Validate the length of a pickup or of a short last bar
+     * @param {number} beats - Beats played
+     * @param {number} measureBeats - Beats of a full measure
+     * @returns {number|null} Beats, or null unless shorter than a full measure
+     */
+    static validatePartialBeats(beats, measureBeats) {
+        const num = parseInt(beats);
+        return num >= 1 && num < measureBeats ? num : null;
+    }
+
+    /**
+     * Validate the song form markings of a section (see SongForm)
+     * @param {Object} section - Section with repeat, repeatStart, repeatEnd, ending, marker and jump
+     * @returns {Object} Valid markings only; repeat counts run from 2 to 16
+     */
+    static validateSectionForm(section) {
+        const form = {};
+        const validateTimes = (value) => {
+            const times = parseInt(value);
+            return times >= 2 ? Math.min(times, 16) : null;
+        };
+
+        const repeat = validateTimes(section.repeat);
+        if (repeat) form.repeat = repeat;
+
+        if (section.repeatStart) form.repeatStart = true;
+
+        const repeatEnd = validateTimes(section.repeatEnd);
+        if (repeatEnd) form.repeatEnd = repeatEnd;
+
+        // Endings are written "1" or "1,2", or stored as an array of passes
+        const ending = (Array.isArray(section.ending) ? section.ending : String(section.ending ?? '').split(','))
+            .map(pass => parseInt(pass))
+            .filter(pass => pass >= 1 && pass <= 16);
+        if (ending.length > 0) form.ending = [...new Set(ending)].sort((a, b) => a - b);
+
+        if (['segno', 'coda'].includes(section.marker)) form.marker = section.marker;
+        if (['dc', 'ds', 'fine', 'to-coda'].includes(section.jump)) form.jump = section.jump;
+
+        return form;
+    }
+
+    /**
+     * Validate a tempo ramp definition
+     * @param {Object} ramp - Ramp with startTempo, endTempo, curve, startBar and endBar
+     * @param {number} measures - Number of measures in the section
+     * @returns {Object|null} Valid ramp, or null if the ramp has no target tempo
+     */
+    static validateRamp(ramp, measures) {
+        if (!ramp || !ramp.endTempo) return null;
+
+        const curves = ['linear', 'exponential', 'ease-in', 'ease-out'];
+        const sectionMeasures = this.validateMeasures(measures);
+        const startBar = Math.min(Math.max(parseInt(ramp.startBar) || 1, 1), sectionMeasures);
+        const endBar = Math.min(Math.max(parseInt(ramp.endBar) || sectionMeasures, startBar), sectionMeasures);
+
+        const validRamp = {
+            endTempo: this.validateTempo(ramp.endTempo),
+            curve: curves.includes(ramp.curve) ? ramp.curve : 'linear',
+            startBar,
+            endBar
+        };
+
+        // Without a start tempo the ramp starts from the section tempo
+        if (ramp.startTempo) {
+            validRamp.startTempo = this.validateTempo(ramp.startTempo);
+        }
+
+        return validRamp;
+    }
+
     /**
      * Generate unique ID
      * @returns {string} Unique identifier
@@ -68,6 +349,40 @@ class Utils {
         return Date.now().toString() + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Encode binary data as base64 text, e.g. to put samples in a JSON export
+     * @param {ArrayBuffer} buffer - Binary data
+     * @returns {string} Base64 text
+     */
+    static arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+
+        // String.fromCharCode takes its bytes as arguments, so convert in chunks
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 text into binary data
+     * @param {string} text - Base64 text
+     * @returns {ArrayBuffer|null} Binary data, or null if the text is not base64
+     */
+    static base64ToArrayBuffer(text) {
+        try {
+            const binary = atob(text);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes.buffer;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Format date for display
      * @param {string} dateString - ISO date string
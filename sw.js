@@ -1,6 +1,6 @@
 // DrumHelper Service Worker - Offline-first PWA
 
-const CACHE_NAME = 'drumhelper-v1';
+const CACHE_NAME = 'drumhelper-v2';
 const urlsToCache = [
   './',
   './index.html',
@@ -11,10 +11,17 @@ const urlsToCache = [
   './css/layout.css',
   './css/components.css',
   './js/script.js',
+  './js/Mixer.js',
   './js/AudioManager.js',
   './js/AdvancedAudioManager.js',
+  './js/WavEncoder.js',
+  './js/SampleStore.js',
   './js/UIManager.js',
+  './js/SongForm.js',
   './js/SongManager.js',
+  './js/TempoTrainer.js',
+  './js/TapTempo.js',
+  './js/ClickTrackRenderer.js',
   './js/StorageManager.js',
   './js/ConfigManager.js',
   './js/utils.js',
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { Mixer, Utils } = loadScripts('utils', 'Mixer');
+
+// Bus gains only depend on the settings, so no audio context is needed
+function mixerWith(settings) {
+    const mixer = Object.create(Mixer.prototype);
+    mixer.settings = Utils.validateMixer(settings);
+    return mixer;
+}
+
+test('fills in and limits the mixer settings', () => {
+    const settings = Utils.validateMixer({ master: { level: 2 }, beat: { level: 'loud', mute: 1 }, voice: { level: -1 } });
+
+    assert.deepStrictEqual({ ...settings.master }, { level: 1, mute: false });
+    assert.deepStrictEqual({ ...settings.beat }, { level: 1, mute: true, solo: false });
+    assert.deepStrictEqual({ ...settings.voice }, { level: 0, mute: false, solo: false });
+    assert.deepStrictEqual({ ...settings.downbeat }, { level: 1, mute: false, solo: false });
+    assert.strictEqual(Utils.validateMixer('loud'), null);
+});
+
+test('plays each bus at its level times the master', () => {
+    const mixer = mixerWith({ master: { level: 0.5 }, subdivision: { level: 0.4 } });
+
+    assert.strictEqual(mixer.getEffectiveGain('subdivision'), 0.2);
+    assert.strictEqual(mixer.getEffectiveGain('beat'), 0.5);
+});
+
+test('silences muted buses', () => {
+    const mixer = mixerWith({ downbeat: { mute: true } });
+
+    assert.strictEqual(mixer.getBusGain('downbeat'), 0);
+    assert.strictEqual(mixer.getBusGain('beat'), 1);
+});
+
+test('silences every bus when the master is muted', () => {
+    const mixer = mixerWith({ master: { level: 0.8, mute: true } });
+
+    assert.strictEqual(mixer.getEffectiveGain('beat'), 0);
+});
+
+test('plays only soloed buses while any bus is soloed', () => {
+    const mixer = mixerWith({ beat: { solo: true }, voice: { solo: true, mute: true }, subdivision: { level: 0.3 } });
+
+    assert.strictEqual(mixer.getBusGain('beat'), 1);
+    assert.strictEqual(mixer.getBusGain('voice'), 0);
+    assert.strictEqual(mixer.getBusGain('downbeat'), 0);
+    assert.strictEqual(mixer.getBusGain('subdivision'), 0);
+    assert.strictEqual(mixer.getBusGain('master'), 0.7);
+});
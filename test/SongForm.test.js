@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { SongForm } = loadScripts('SongForm');
+
+// Steps as [section, pass, passes], and the play order as section indexes only
+const unroll = (sections) => Array.from(SongForm.unroll(sections), step => [step.section, step.pass, step.passes]);
+const playOrder = (sections) => Array.from(SongForm.unroll(sections), step => step.section);
+
+test('plays sections without markings in order', () => {
+    assert.deepStrictEqual(unroll([{}, {}, {}]), [[0, 1, 1], [1, 1, 1], [2, 1, 1]]);
+});
+
+test('repeats a section in a row', () => {
+    assert.deepStrictEqual(unroll([{}, { repeat: 3 }, {}]), [
+        [0, 1, 1],
+        [1, 1, 3], [1, 2, 3], [1, 3, 3],
+        [2, 1, 1]
+    ]);
+});
+
+test('plays a repeat group with first and second endings', () => {
+    const sections = [
+        {},
+        { repeatStart: true },
+        { ending: [1] },
+        { ending: [2], repeatEnd: 2 },
+        {}
+    ];
+
+    assert.deepStrictEqual(unroll(sections), [
+        [0, 1, 1],
+        [1, 1, 2], [2, 1, 2],
+        [1, 2, 2], [3, 2, 2],
+        [4, 1, 1]
+    ]);
+});
+
+test('starts a repeat group after the previous one without repeatStart', () => {
+    const sections = [{ repeatEnd: 2 }, {}, { repeatEnd: 2 }];
+
+    assert.deepStrictEqual(playOrder(sections), [0, 0, 1, 2, 1, 2]);
+});
+
+test('jumps back to the start on D.C. and ends at Fine', () => {
+    const sections = [{}, { jump: 'fine' }, { jump: 'dc' }, {}];
+
+    assert.deepStrictEqual(playOrder(sections), [0, 1, 2, 0, 1]);
+});
+
+test('jumps to the segno on D.S. and on to the coda', () => {
+    const sections = [
+        {},
+        { marker: 'segno' },
+        { jump: 'to-coda' },
+        { jump: 'ds' },
+        { marker: 'coda' }
+    ];
+
+    assert.deepStrictEqual(playOrder(sections), [0, 1, 2, 3, 1, 2, 4]);
+});
+
+test('jumps to the start on D.S. without a segno', () => {
+    assert.deepStrictEqual(playOrder([{}, { jump: 'ds' }]), [0, 1, 0, 1]);
+});
+
+test('takes each D.C. or D.S. once', () => {
+    assert.deepStrictEqual(playOrder([{}, { jump: 'dc' }, {}]), [0, 1, 0, 1, 2]);
+});
+
+test('plays sections once after a jump', () => {
+    assert.deepStrictEqual(unroll([{ repeat: 2 }, { jump: 'dc' }]), [
+        [0, 1, 2], [0, 2, 2],
+        [1, 1, 1],
+        [0, 1, 1],
+        [1, 1, 1]
+    ]);
+});
+
+test('plays the last pass of a repeat group after a jump', () => {
+    const sections = [
+        { repeatStart: true },
+        { ending: [1] },
+        { ending: [2], repeatEnd: 2 },
+        { jump: 'dc' }
+    ];
+
+    assert.deepStrictEqual(unroll(sections), [
+        [0, 1, 2], [1, 1, 2],
+        [0, 2, 2], [2, 2, 2],
+        [3, 1, 1],
+        [0, 1, 1], [2, 1, 1],
+        [3, 1, 1]
+    ]);
+});
+
+test('ignores Fine and To Coda before the jump', () => {
+    const sections = [{ jump: 'fine' }, { jump: 'to-coda' }, { marker: 'coda' }];
+
+    assert.deepStrictEqual(playOrder(sections), [0, 1, 2]);
+});
+
+test('finds repeat groups', () => {
+    const groups = SongForm.findRepeatGroups([{}, { repeatStart: true }, { repeatEnd: 3 }, {}]);
+
+    assert.deepStrictEqual(Array.from(groups, group => ({ ...group })), [{ start: 1, end: 2, times: 3 }]);
+});
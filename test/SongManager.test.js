@@ -0,0 +1,477 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { SongManager } = loadScripts('utils', 'SongForm', 'SongManager');
+
+const clicksPerBeat = { quarter: 1, eighth: 2, triplet: 3, sixteenth: 4 };
+
+// Records what would be played instead of playing it
+class FakeAudioManager {
+    constructor() {
+        this.audioContext = { currentTime: 0 };
+        this.subdivision = 'quarter';
+        this.clicks = [];
+        this.pulses = [];
+        this.countIns = [];
+    }
+
+    getSubdivisionSettings(subdivision = this.subdivision) {
+        return { clicksPerBeat: clicksPerBeat[subdivision] || 1, accent: [0] };
+    }
+
+    setSubdivision(subdivision) {
+        this.subdivision = subdivision;
+    }
+
+    playSubdivisionClick(index, accent, time, pan, level) {
+        this.clicks.push({ index, accent, time, pan, level });
+    }
+
+    playPolyPulse(first, time, pan) {
+        this.pulses.push({ first, time, pan });
+    }
+
+    playCountInClick(first, time) {
+        this.countIns.push({ first, time });
+    }
+
+    async resumeAudioContext() {}
+    cancelScheduledClicks() {}
+    announceSection() {}
+    speakCount() {}
+}
+
+// The UI is not needed, every call does nothing
+const ui = new Proxy({}, { get: () => () => {} });
+
+function createSongManager(song, config = {}) {
+    const configManager = { get: (path, fallback) => (path in config ? config[path] : fallback) };
+    const songManager = new SongManager(new FakeAudioManager(), ui, configManager);
+    songManager.loadSongData({ title: 'Test', tempo: 120, ...song });
+
+    // The app keeps the audio manager on the song subdivision
+    songManager.audioManager.setSubdivision(songManager.subdivision);
+    return songManager;
+}
+
+function section(measures, options = {}) {
+    return { name: options.name || 'Section', measures, timeSignature: '4/4', ...options };
+}
+
+// Schedule clicks until the song ends, or up to a limit for songs that loop forever
+function scheduleAll(songManager, limit = 1000) {
+    for (let i = 0; i < limit && songManager.scheduleNextClick(); i++);
+    return Array.from(songManager.eventQueue).filter(event => event.type === 'click');
+}
+
+function sectionsPlayed(clicks) {
+    return clicks.filter(click => click.isDownbeat && click.measure === 0).map(click => click.section);
+}
+
+describe('tempo ramps', () => {
+    const rampSong = (ramp, tempo) => createSongManager({ tempo: 100, sections: [section(4, { tempo, ramp })] });
+
+    it('plays the section tempo without a ramp', () => {
+        const songManager = createSongManager({ tempo: 100, sections: [section(4, { tempo: 90 }), section(4)] });
+
+        assert.strictEqual(songManager.getTempoAt(0, 2, 1), 90);
+        assert.strictEqual(songManager.getTempoAt(1, 0, 0), 100);
+    });
+
+    it('ramps linearly from the first to the last ramp beat', () => {
+        const songManager = rampSong({ startBar: 1, endBar: 4, startTempo: 100, endTempo: 130, curve: 'linear' });
+
+        // 16 beats, so each beat is 2 BPM faster
+        assert.strictEqual(songManager.getTempoAt(0, 0, 0), 100);
+        assert.strictEqual(songManager.getTempoAt(0, 0, 1), 102);
+        assert.strictEqual(songManager.getTempoAt(0, 2, 0), 116);
+        assert.strictEqual(songManager.getTempoAt(0, 3, 3), 130);
+    });
+
+    it('holds the tempo before and after the ramp bars', () => {
+        const songManager = rampSong({ startBar: 2, endBar: 3, startTempo: 110, endTempo: 124, curve: 'linear' }, 90);
+
+        assert.strictEqual(songManager.getTempoAt(0, 0, 3), 90);
+        assert.strictEqual(songManager.getTempoAt(0, 1, 0), 110);
+        assert.strictEqual(songManager.getTempoAt(0, 2, 3), 124);
+        assert.strictEqual(songManager.getTempoAt(0, 3, 2), 124);
+    });
+
+    it('starts at the section tempo without a start tempo', () => {
+        const songManager = rampSong({ startBar: 1, endBar: 4, endTempo: 130, curve: 'linear' }, 100);
+
+        assert.strictEqual(songManager.getTempoAt(0, 0, 0), 100);
+        assert.strictEqual(songManager.getTempoAt(0, 3, 3), 130);
+    });
+
+    it('follows the ramp curves', () => {
+        const ramp = { startBar: 1, endBar: 1, startTempo: 100, endTempo: 200 };
+        const tempoAtBeat = (curve, beat) => rampSong({ ...ramp, curve }).getTempoAt(0, 0, beat);
+        const expected = {
+            // Beat 2 of 4 is a third of the way through the ramp
+            linear: 100 + 100 / 3,
+            'ease-in': 100 + 100 / 9,
+            'ease-out': 100 + 100 * 5 / 9,
+            exponential: 100 * Math.cbrt(2)
+        };
+
+        Object.entries(expected).forEach(([curve, tempo]) => {
+            assert.ok(Math.abs(tempoAtBeat(curve, 1) - tempo) < 1e-9, curve);
+            assert.ok(Math.abs(tempoAtBeat(curve, 0) - 100) < 1e-9, curve);
+            assert.ok(Math.abs(tempoAtBeat(curve, 3) - 200) < 1e-9, curve);
+        });
+    });
+
+    it('schedules ramp beats closer together as the tempo rises', () => {
+        const songManager = rampSong({ startBar: 1, endBar: 1, startTempo: 60, endTempo: 120, curve: 'linear' });
+        const times = scheduleAll(songManager).slice(0, 5).map(click => click.time);
+
+        assert.deepStrictEqual(times, [0, 1, 1 + 60 / 80, 1 + 60 / 80 + 60 / 100, 1 + 60 / 80 + 60 / 100 + 0.5]);
+    });
+});
+
+describe('song stats', () => {
+    it('counts sections as often as the song form plays them', () => {
+        const stats = createSongManager({ sections: [section(2, { repeat: 2 }), section(1)] }).getSongStats();
+
+        assert.strictEqual(stats.totalSections, 2);
+        assert.strictEqual(stats.totalMeasures, 5);
+        assert.strictEqual(stats.totalBeats, 20);
+        assert.strictEqual(stats.durationSeconds, 10);
+        assert.strictEqual(stats.durationFormatted, '0:10');
+    });
+
+    it('adds the pickup and short last bars', () => {
+        const stats = createSongManager({ pickupBeats: 1, sections: [section(2, { extraBeats: 2 })] }).getSongStats();
+
+        assert.strictEqual(stats.totalMeasures, 3);
+        assert.strictEqual(stats.totalBeats, 11);
+        assert.strictEqual(stats.durationSeconds, 5.5);
+    });
+
+    it('measures ramps beat by beat', () => {
+        const ramp = { startBar: 1, endBar: 1, startTempo: 60, endTempo: 120, curve: 'linear' };
+        const stats = createSongManager({ sections: [section(1, { tempo: 60, ramp })] }).getSongStats();
+
+        assert.ok(Math.abs(stats.durationSeconds - (1 + 0.75 + 0.6 + 0.5)) < 1e-9);
+    });
+});
+
+describe('count-in', () => {
+    it('clicks the configured beats before the first bar', () => {
+        const songManager = createSongManager({ sections: [section(1)] }, { 'playback.countInBeats': 4 });
+        songManager.countInTotal = songManager.countInRemaining = songManager.getCountInBeats();
+        const clicks = scheduleAll(songManager);
+
+        assert.deepStrictEqual(songManager.audioManager.countIns.map(click => click.time), [0, 0.5, 1, 1.5]);
+        assert.strictEqual(songManager.audioManager.countIns.filter(click => click.first).length, 1);
+        assert.strictEqual(clicks[0].time, 2);
+        assert.strictEqual(clicks.length, 4);
+    });
+
+    it('counts in at the beat unit of the first bar', () => {
+        const songManager = createSongManager({ sections: [section(1, { timeSignature: '6/8' })] }, { 'playback.countInBeats': 2 });
+        songManager.countInTotal = songManager.countInRemaining = songManager.getCountInBeats();
+        const clicks = scheduleAll(songManager);
+
+        assert.strictEqual(clicks[0].time, 0.5);
+    });
+
+    it('allows up to 8 beats', () => {
+        assert.strictEqual(createSongManager({ sections: [section(1)] }, { 'playback.countInBeats': 12 }).getCountInBeats(), 8);
+        assert.strictEqual(createSongManager({ sections: [section(1)] }, { 'playback.countInBeats': -1 }).getCountInBeats(), 0);
+        assert.strictEqual(createSongManager({ sections: [section(1)] }).getCountInBeats(), 0);
+    });
+});
+
+describe('looping', () => {
+    const song = { sections: [section(1, { name: 'Intro' }), section(1, { name: 'Verse' }), section(1, { name: 'Outro' })] };
+
+    it('plays through once without a loop', () => {
+        assert.deepStrictEqual(sectionsPlayed(scheduleAll(createSongManager(song))), [0, 1, 2]);
+    });
+
+    it('loops the whole song the set number of times', () => {
+        const songManager = createSongManager(song);
+        songManager.setLoop({ mode: 'song', count: 2 });
+
+        const clicks = scheduleAll(songManager);
+        assert.deepStrictEqual(sectionsPlayed(clicks), [0, 1, 2, 0, 1, 2]);
+        assert.deepStrictEqual(clicks.filter(click => click.isDownbeat).map(click => click.loopPass), [1, 1, 1, 2, 2, 2]);
+    });
+
+    it('loops one section, then plays on', () => {
+        const songManager = createSongManager(song);
+        songManager.setLoop({ mode: 'section', start: 1, count: 3 });
+
+        assert.deepStrictEqual(sectionsPlayed(scheduleAll(songManager)), [0, 1, 1, 1, 2]);
+    });
+
+    it('loops a range of sections', () => {
+        const songManager = createSongManager(song);
+        songManager.setLoop({ mode: 'range', start: 0, end: 1, count: 2 });
+
+        assert.deepStrictEqual(sectionsPlayed(scheduleAll(songManager)), [0, 1, 0, 1, 2]);
+    });
+
+    it('loops forever with a count of 0', () => {
+        const songManager = createSongManager(song);
+        songManager.setLoop({ mode: 'section', start: 2, count: 0 });
+
+        const next = songManager.getNextPosition(2, 50);
+        assert.deepStrictEqual([next.section, next.loopPass, next.isLoopWrap], [2, 51, true]);
+        const played = sectionsPlayed(scheduleAll(songManager, 400));
+        assert.strictEqual(played.length, 100);
+        assert.ok(played.slice(2).every(index => index === 2));
+    });
+
+    it('reports each finished pass to observers', () => {
+        const songManager = createSongManager(song);
+        const passes = [];
+        songManager.addObserver((event, data) => event === 'loop-pass-complete' && passes.push(data.pass));
+        songManager.setLoop({ mode: 'song', count: 3 });
+        scheduleAll(songManager);
+
+        assert.deepStrictEqual(passes, [1, 2]);
+    });
+
+    it('keeps the loop inside the song', () => {
+        const songManager = createSongManager(song);
+        songManager.setLoop({ mode: 'range', start: 2, end: 9, count: 200 });
+
+        assert.deepStrictEqual({ ...songManager.loop }, { mode: 'range', start: 2, end: 2, count: 99 });
+    });
+});
+
+describe('tempo trainer tempo', () => {
+    it('scales section tempos and ramps with the trainer tempo', () => {
+        const songManager = createSongManager({
+            tempo: 100,
+            sections: [section(4, { ramp: { startBar: 1, endBar: 4, startTempo: 100, endTempo: 130, curve: 'linear' } }), section(1, { tempo: 150 })]
+        });
+        songManager.setTrainerTempo(80);
+
+        assert.strictEqual(songManager.getTempoAt(0, 0, 0), 80);
+        assert.strictEqual(songManager.getTempoAt(0, 3, 3), 104);
+        assert.strictEqual(songManager.getTempoAt(1, 0, 0), 120);
+    });
+
+    it('goes back to the song tempo without a trainer tempo', () => {
+        const songManager = createSongManager({ tempo: 100, sections: [section(1)] });
+        songManager.setTrainerTempo(80);
+        songManager.setTrainerTempo(null);
+
+        assert.strictEqual(songManager.getTempoAt(0), 100);
+    });
+});
+
+describe('pausing', () => {
+    // Schedule clicks ahead, hear those before the given time, then pause
+    function pauseAt(songManager, clicks, time) {
+        songManager.isPlaying = true;
+        scheduleAll(songManager, clicks);
+        songManager.audioManager.audioContext.currentTime = time;
+        songManager.processDueEvents();
+        songManager.pause();
+    }
+
+    it('rewinds to the first click that was not heard', () => {
+        const songManager = createSongManager({ sections: [section(1), section(1)] });
+        pauseAt(songManager, 6, 1.9);
+
+        assert.deepStrictEqual([songManager.cursor.step, songManager.cursor.beat], [1, 0]);
+        assert.deepStrictEqual([songManager.currentStep, songManager.currentBeat], [0, 3]);
+    });
+
+    it('takes back loop passes that were not heard', () => {
+        const songManager = createSongManager({ sections: [section(1), section(1)] });
+        const events = [];
+        songManager.addObserver((event, data) => events.push([event, data.pass ?? data.passes]));
+        songManager.setLoop({ mode: 'song', count: 0 });
+
+        // The wrap is scheduled with the last beat of the pass, which is not heard
+        pauseAt(songManager, 8, 3.4);
+
+        assert.deepStrictEqual(events, [['loop-pass-complete', 1], ['loop-pass-rewound', 1]]);
+        assert.deepStrictEqual([songManager.cursor.step, songManager.cursor.beat, songManager.cursor.loopPass], [1, 3, 1]);
+    });
+
+    it('keeps a vamp cue whose downbeat was not heard', () => {
+        const songManager = createSongManager({ sections: [section(2, { vamp: true }), section(1)] });
+        songManager.isPlaying = true;
+        scheduleAll(songManager, 6);
+        songManager.cueNextSection();
+        scheduleAll(songManager, 3);
+
+        // The cue was used by the boundary into the next section, before the last vamp beat is heard
+        assert.strictEqual(songManager.vampCue, null);
+        songManager.audioManager.audioContext.currentTime = 3.4;
+        songManager.processDueEvents();
+        songManager.pause();
+
+        assert.strictEqual(songManager.vampCue, 'downbeat');
+        assert.strictEqual(songManager.cursor.section, 0);
+    });
+
+    it('keeps an end request whose boundary was not heard', () => {
+        const songManager = createSongManager({ sections: [section(1), section(1)] });
+        songManager.requestEndAfterSection();
+        pauseAt(songManager, 5, 1.4);
+
+        assert.strictEqual(songManager.endRequested, true);
+    });
+});
+
+describe('polyrhythm', () => {
+    it('spreads the pulses evenly over each bar', () => {
+        const songManager = createSongManager({ sections: [section(2, { polyrhythm: '3:4' })] });
+        scheduleAll(songManager);
+        songManager.schedulePulses(Infinity);
+
+        // Bars last 2 s at 120 BPM
+        const times = songManager.audioManager.pulses.map(pulse => pulse.time);
+        assert.deepStrictEqual(times.map(time => Math.round(time * 1000)), [0, 667, 1333, 2000, 2667, 3333]);
+        assert.deepStrictEqual(songManager.audioManager.pulses.map(pulse => pulse.first), [true, false, false, true, false, false]);
+    });
+
+    it('pans the pulse away from the click', () => {
+        const songManager = createSongManager({ sections: [section(1, { polyrhythm: '3:2' }), section(1)] });
+        const clicks = scheduleAll(songManager);
+        songManager.schedulePulses(Infinity);
+
+        assert.ok(songManager.audioManager.pulses.every(pulse => pulse.pan > 0));
+        assert.ok(songManager.audioManager.clicks.slice(0, 4).every(click => click.pan < 0));
+        assert.strictEqual(songManager.audioManager.clicks[4].pan, 0);
+        assert.strictEqual(clicks.length, 8);
+    });
+});
+
+describe('accent levels', () => {
+    it('applies the song pattern to every click of the bar', () => {
+        const songManager = createSongManager({
+            subdivision: 'eighth',
+            accents: ['accent', 'ghost', 'normal', 'ghost', 'normal', 'mute', 'normal', 'ghost'],
+            sections: [section(1)]
+        });
+        scheduleAll(songManager);
+
+        assert.deepStrictEqual(songManager.audioManager.clicks.map(click => click.level),
+            ['accent', 'ghost', 'normal', 'ghost', 'normal', 'mute', 'normal', 'ghost']);
+    });
+
+    it('prefers the section pattern over the song pattern', () => {
+        const songManager = createSongManager({
+            accents: ['accent', 'normal', 'normal', 'normal'],
+            sections: [section(1, { accents: ['normal', 'accent', 'normal', 'accent'] }), section(1)]
+        });
+
+        assert.strictEqual(songManager.getAccentLevel({ section: 0, beat: 1, subdivision: 0 }), 'accent');
+        assert.strictEqual(songManager.getAccentLevel({ section: 1, beat: 1, subdivision: 0 }), 'normal');
+    });
+
+    it('ignores a pattern made for another meter or subdivision', () => {
+        const songManager = createSongManager({
+            accents: ['accent', 'normal', 'normal', 'normal'],
+            sections: [section(1, { timeSignature: '3/4' }), section(1, { subdivision: 'eighth' })]
+        });
+
+        assert.strictEqual(songManager.getAccentLevel({ section: 0, beat: 0, subdivision: 0 }), null);
+        assert.strictEqual(songManager.getAccentLevel({ section: 1, beat: 0, subdivision: 0 }), null);
+    });
+});
+
+describe('vamps', () => {
+    const song = { sections: [section(2, { name: 'Vamp', vamp: true }), section(1, { name: 'Out' })] };
+
+    it('repeats its measures until cued', () => {
+        const songManager = createSongManager(song);
+        const clicks = scheduleAll(songManager, 40);
+
+        assert.ok(clicks.every(click => click.section === 0));
+        assert.deepStrictEqual(clicks.filter(click => click.isDownbeat).map(click => click.measure), [0, 1, 0, 1, 0, 1, 0, 1, 0, 1]);
+    });
+
+    it('leaves at the next downbeat once cued', () => {
+        const songManager = createSongManager(song);
+        songManager.isPlaying = true;
+        scheduleAll(songManager, 5);
+        songManager.cueNextSection();
+        const clicks = scheduleAll(songManager);
+
+        assert.deepStrictEqual(clicks.filter(click => click.isDownbeat).map(click => [click.section, click.measure]), [[0, 0], [0, 1], [1, 0]]);
+    });
+
+    it('plays out the phrase when set to', () => {
+        const songManager = createSongManager(song, { 'playback.vampExit': 'phrase' });
+        songManager.isPlaying = true;
+        scheduleAll(songManager, 9);
+        songManager.cueNextSection();
+        const clicks = scheduleAll(songManager);
+
+        assert.deepStrictEqual(clicks.filter(click => click.isDownbeat).map(click => [click.section, click.measure]),
+            [[0, 0], [0, 1], [0, 0], [0, 1], [1, 0]]);
+    });
+
+    it('is only cued while playing', () => {
+        const songManager = createSongManager(song);
+
+        assert.strictEqual(songManager.cueNextSection(), false);
+        assert.strictEqual(songManager.vampCue, null);
+    });
+});
+
+describe('metric modulation', () => {
+    it('sets the tempo from where the previous section ended', () => {
+        const songManager = createSongManager({
+            tempo: 100,
+            sections: [
+                section(4, { ramp: { startBar: 1, endBar: 4, startTempo: 100, endTempo: 120, curve: 'linear' } }),
+                section(4, { modulation: { from: 'quarter', to: 'dotted-quarter' } })
+            ]
+        });
+
+        assert.strictEqual(songManager.getSectionEndTempo(0), 120);
+        assert.strictEqual(songManager.getTempoAt(1, 0, 0), 180);
+    });
+
+    it('takes the previous end tempo from a short last bar', () => {
+        const songManager = createSongManager({
+            tempo: 100,
+            sections: [
+                section(2, { extraBeats: 2, ramp: { startBar: 1, endBar: 2, startTempo: 100, endTempo: 114, curve: 'linear' } }),
+                section(4, { modulation: { from: 'quarter', to: 'dotted-quarter' } })
+            ]
+        });
+
+        assert.strictEqual(songManager.getSectionEndTempo(0), 114);
+        assert.strictEqual(songManager.getTempoAt(1, 0, 0), 171);
+    });
+
+    it('modulates from the section played before, not the one above', () => {
+        // Plays A, B, A, C: the second ending follows A
+        const songManager = createSongManager({
+            sections: [
+                section(1, { name: 'A', tempo: 100, repeatStart: true }),
+                section(1, { name: 'B', tempo: 150, ending: [1] }),
+                section(1, { name: 'C', ending: [2], repeatEnd: 2, modulation: { from: 'quarter', to: 'dotted-quarter' } })
+            ]
+        });
+        const clicks = scheduleAll(songManager).filter(click => click.section === 2);
+
+        assert.strictEqual(songManager.getTempoAt(2), 150);
+        assert.ok(Math.abs(clicks[1].time - clicks[0].time - 0.4) < 1e-9);
+    });
+
+    it('keeps the modulated tempo when the section repeats', () => {
+        const songManager = createSongManager({
+            sections: [
+                section(1, { tempo: 100 }),
+                section(1, { repeat: 2, modulation: { from: 'quarter', to: 'dotted-quarter' } })
+            ]
+        });
+
+        assert.strictEqual(songManager.getTempoAt(1, 0, 0, 1), 150);
+        assert.strictEqual(songManager.getTempoAt(1, 0, 0, 2), 150);
+    });
+});
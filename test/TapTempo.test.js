@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TapTempo } = loadScripts('TapTempo');
+
+test('detects the tempo of steady taps', () => {
+    const tapTempo = new TapTempo();
+    [0, 500, 1000, 1500, 2000].forEach(time => tapTempo.tap(time));
+
+    const result = tapTempo.getResult();
+    assert.strictEqual(result.bpm, 120);
+    assert.strictEqual(result.taps, 5);
+    assert.strictEqual(result.outliers, 0);
+});
+
+test('has no tempo before the second tap', () => {
+    const result = new TapTempo().tap(0);
+
+    assert.strictEqual(result.bpm, null);
+    assert.strictEqual(result.confidence, 0);
+});
+
+test('ignores a missed tap', () => {
+    const tapTempo = new TapTempo();
+
+    // The tap at 1500 was missed, leaving one interval twice as long
+    [0, 500, 1000, 2000, 2500, 3000].forEach(time => tapTempo.tap(time));
+
+    assert.strictEqual(tapTempo.getResult().bpm, 120);
+    assert.strictEqual(tapTempo.getResult().outliers, 1);
+});
+
+test('ignores an extra tap between two beats', () => {
+    const tapTempo = new TapTempo();
+    [0, 600, 1200, 1500, 1800, 2400].forEach(time => tapTempo.tap(time));
+
+    assert.strictEqual(tapTempo.getResult().bpm, 100);
+    assert.strictEqual(tapTempo.getResult().outliers, 2);
+});
+
+test('gains confidence with steady taps', () => {
+    const tapTempo = new TapTempo({ maxTaps: 8 });
+
+    [0, 500, 1000].forEach(time => tapTempo.tap(time));
+    const few = tapTempo.getResult().confidence;
+    [1500, 2000, 2500, 3000, 3500].forEach(time => tapTempo.tap(time));
+    const full = tapTempo.getResult().confidence;
+
+    assert.ok(few < full);
+    assert.strictEqual(full, 100);
+});
+
+test('keeps only the last taps', () => {
+    const tapTempo = new TapTempo({ maxTaps: 4 });
+    [0, 1000, 2000, 3000, 3500, 4000, 4500].forEach(time => tapTempo.tap(time));
+
+    assert.strictEqual(tapTempo.getResult().taps, 4);
+    assert.strictEqual(tapTempo.getResult().bpm, 120);
+});
+
+test('starts over after a pause', () => {
+    const tapTempo = new TapTempo({ resetAfter: 2000 });
+    [0, 500, 1000, 5000, 5400].forEach(time => tapTempo.tap(time));
+
+    assert.strictEqual(tapTempo.getResult().taps, 2);
+    assert.strictEqual(tapTempo.getResult().bpm, 150);
+});
+
+test('starts over when the clock goes backwards', () => {
+    const tapTempo = new TapTempo();
+    [1000, 1500, 200].forEach(time => tapTempo.tap(time));
+
+    assert.strictEqual(tapTempo.getResult().taps, 1);
+    assert.strictEqual(tapTempo.getResult().bpm, null);
+});
+
+test('reset forgets all taps', () => {
+    const tapTempo = new TapTempo();
+    [0, 500, 1000].forEach(time => tapTempo.tap(time));
+    tapTempo.reset();
+
+    assert.deepStrictEqual({ ...tapTempo.getResult() }, { bpm: null, confidence: 0, taps: 0, outliers: 0 });
+});
+
+test('falls back to the median when every interval is an outlier', () => {
+    const tapTempo = new TapTempo();
+    [0, 500, 1500].forEach(time => tapTempo.tap(time));
+
+    const result = tapTempo.getResult();
+    assert.strictEqual(result.bpm, 80);
+    assert.strictEqual(result.confidence, 0);
+    assert.strictEqual(result.outliers, 2);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TempoTrainer } = loadScripts('utils', 'TempoTrainer');
+
+// Stands in for the song manager: keeps what the trainer sets and lets the test send playback events
+function createSong() {
+    return {
+        loop: { mode: 'off', start: 0, end: 0, count: 0 },
+        trainerTempo: null,
+        endRequested: false,
+        observers: [],
+        addObserver(callback) { this.observers.push(callback); },
+        emit(event, data = {}) { this.observers.forEach(callback => callback(event, data)); },
+        setLoop(settings) { this.loop = { ...this.loop, ...settings }; },
+        setTrainerTempo(tempo) { this.trainerTempo = tempo; },
+        requestEndAfterSection() { this.endRequested = true; }
+    };
+}
+
+test('starts at the start tempo and loops the song', () => {
+    const song = createSong();
+    new TempoTrainer(song).start({ startTempo: 80, targetTempo: 100 });
+
+    assert.strictEqual(song.trainerTempo, 80);
+    assert.strictEqual(song.loop.mode, 'song');
+    assert.strictEqual(song.loop.count, 0);
+});
+
+test('steps the tempo after enough passes', () => {
+    const song = createSong();
+    new TempoTrainer(song).start({ startTempo: 80, targetTempo: 100, step: 5, passesPerStep: 2 });
+
+    const tempos = [];
+    for (let pass = 1; pass <= 6; pass++) {
+        song.emit('loop-pass-complete', { pass });
+        tempos.push(song.trainerTempo);
+    }
+    assert.deepStrictEqual(tempos, [80, 85, 85, 90, 90, 95]);
+});
+
+test('does not count a missed pass', () => {
+    const song = createSong();
+    const trainer = new TempoTrainer(song);
+    trainer.start({ startTempo: 80, targetTempo: 100, step: 5, passesPerStep: 1 });
+
+    trainer.markMiss();
+    song.emit('loop-pass-complete', { pass: 1 });
+    assert.strictEqual(song.trainerTempo, 80);
+
+    song.emit('loop-pass-complete', { pass: 2 });
+    assert.strictEqual(song.trainerTempo, 85);
+});
+
+test('ends after the target tempo has been played', () => {
+    const song = createSong();
+    let finished = null;
+    const trainer = new TempoTrainer(song, { onFinish: (status) => { finished = status; } });
+    trainer.start({ startTempo: 90, targetTempo: 95, step: 10, passesPerStep: 1 });
+
+    song.emit('loop-pass-complete', { pass: 1 });
+    assert.strictEqual(song.trainerTempo, 95);
+    song.emit('loop-pass-complete', { pass: 2 });
+    assert.strictEqual(song.endRequested, true);
+
+    song.emit('song-completed');
+    assert.strictEqual(finished.reachedTempo, 95);
+    assert.strictEqual(trainer.isActive, false);
+});
+
+test('drops back to the start tempo when set to', () => {
+    const song = createSong();
+    new TempoTrainer(song).start({ startTempo: 90, targetTempo: 95, step: 10, passesPerStep: 1, dropBack: true });
+
+    song.emit('loop-pass-complete', { pass: 1 });
+    song.emit('loop-pass-complete', { pass: 2 });
+
+    assert.strictEqual(song.trainerTempo, 90);
+    assert.strictEqual(song.endRequested, false);
+});
+
+test('undoes passes that were rewound before they were heard', () => {
+    const song = createSong();
+    const trainer = new TempoTrainer(song);
+    trainer.start({ startTempo: 80, targetTempo: 100, step: 5, passesPerStep: 1 });
+
+    song.emit('loop-pass-complete', { pass: 1 });
+    song.emit('loop-pass-complete', { pass: 2 });
+    assert.strictEqual(song.trainerTempo, 90);
+
+    song.emit('loop-pass-rewound', { passes: 1 });
+    assert.strictEqual(song.trainerTempo, 85);
+    assert.strictEqual(trainer.getStatus().currentTempo, 85);
+
+    song.emit('loop-pass-complete', { pass: 2 });
+    assert.strictEqual(song.trainerTempo, 90);
+});
+
+test('restores the loop and song tempo when stopped', () => {
+    const song = createSong();
+    song.loop = { mode: 'section', start: 2, end: 2, count: 3 };
+    const trainer = new TempoTrainer(song);
+
+    trainer.start({ startTempo: 80 });
+    assert.deepStrictEqual({ ...song.loop }, { mode: 'section', start: 2, end: 2, count: 0 });
+
+    trainer.stop();
+    assert.deepStrictEqual({ ...song.loop }, { mode: 'section', start: 2, end: 2, count: 3 });
+    assert.strictEqual(song.trainerTempo, null);
+});
+
+test('ignores playback events while stopped', () => {
+    const song = createSong();
+    const trainer = new TempoTrainer(song);
+    trainer.start({ startTempo: 80, passesPerStep: 1 });
+    trainer.stop();
+
+    song.emit('loop-pass-complete', { pass: 1 });
+    assert.strictEqual(song.trainerTempo, null);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { UIManager } = loadScripts('utils', 'SongForm', 'UIManager');
+
+// Accent editors are only read here, so a plain object with the cells' levels will do
+function accentEditor(levels, clicksPerBeat, custom = true) {
+    return {
+        dataset: { custom: String(custom), clicksPerBeat: String(clicksPerBeat) },
+        children: levels.map(level => ({ dataset: { level } }))
+    };
+}
+
+const uiManager = Object.create(UIManager.prototype);
+
+test('reads the levels of an edited accent pattern', () => {
+    const levels = uiManager.readAccentEditor(accentEditor(['accent', 'ghost', 'mute'], 1));
+
+    assert.deepStrictEqual(Array.from(levels), ['accent', 'ghost', 'mute']);
+});
+
+test('reads no pattern while the editor shows the default', () => {
+    assert.strictEqual(uiManager.readAccentEditor(accentEditor(['accent', 'normal'], 1, false)), null);
+    assert.strictEqual(uiManager.readAccentEditorFor(accentEditor(['accent', 'normal'], 1, false), 2), null);
+});
+
+test('keeps the levels when the subdivision is unchanged', () => {
+    const levels = uiManager.readAccentEditorFor(accentEditor(['accent', 'ghost', 'normal', 'mute'], 2), 2);
+
+    assert.deepStrictEqual(Array.from(levels), ['accent', 'ghost', 'normal', 'mute']);
+});
+
+test('moves each level to the same place in its beat for a finer subdivision', () => {
+    const levels = uiManager.readAccentEditorFor(accentEditor(['accent', 'ghost', 'normal', 'mute'], 2), 4);
+
+    assert.deepStrictEqual(Array.from(levels), ['accent', undefined, 'ghost', undefined, 'normal', undefined, 'mute', undefined]);
+});
+
+test('keeps the clicks that remain for a coarser subdivision', () => {
+    const levels = uiManager.readAccentEditorFor(
+        accentEditor(['accent', 'ghost', 'mute', 'ghost', 'normal', 'ghost', 'mute', 'ghost'], 4), 2);
+
+    assert.deepStrictEqual(Array.from(levels), ['accent', 'mute', 'normal', 'mute']);
+});
+
+test('keeps only beat starts between eighths and triplets', () => {
+    const levels = uiManager.readAccentEditorFor(accentEditor(['accent', 'ghost', 'mute', 'ghost'], 2), 3);
+
+    assert.deepStrictEqual(Array.from(levels), ['accent', undefined, undefined, 'mute', undefined, undefined]);
+});
+
+// A composer section row whose fields are looked up by class name
+function sectionItem(values) {
+    const fields = { 'section-derived-tempo': { textContent: '' }, 'section-tempo': { value: '' } };
+    Object.entries(values).forEach(([name, value]) => { fields[`section-${name}`] = { value }; });
+    return { querySelector: (selector) => fields[selector.slice(1)] || null, fields };
+}
+
+test('updates the modulated tempos when the song tempo is set', () => {
+    const items = [sectionItem({}), sectionItem({ 'modulation-from': 'quarter', 'modulation-to': 'dotted-quarter' })];
+    const composer = Object.create(UIManager.prototype);
+    composer.elements = { tempo: { value: '100' }, sections: { querySelectorAll: () => items } };
+
+    composer.setComposerTempo(120);
+
+    assert.strictEqual(items[1].fields['section-derived-tempo'].textContent, '(180 BPM)');
+    assert.strictEqual(items[1].fields['section-tempo'].disabled, true);
+});
@@ -0,0 +1,24 @@
+// Load DrumHelper's browser scripts into a sandbox for the tests
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Run scripts from js/ in a fresh context that stands in for the browser window
+ * @param {...string} names - Script names without extension, in load order
+ * @returns {Object} The window, with the classes the scripts export
+ */
+function loadScripts(...names) {
+    const window = vm.createContext({ console });
+    window.window = window;
+
+    names.forEach(name => {
+        const file = path.join(__dirname, '..', 'js', `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), window, { filename: file });
+    });
+
+    return window;
+}
+
+module.exports = { loadScripts };